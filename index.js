@@ -1,5 +1,6 @@
 var EventEmitter = require('./dist/AsyncEventEmitter').default;
 var Collection = require('./dist/Collection').default;
+var Database = require('./dist/Database').default;
 var CursorObservable = require('./dist/CursorObservable').default;
 var debounce = require('./dist/debounce').default;
 var StorageManager = require('./dist/StorageManager').default;
@@ -7,6 +8,10 @@ var Random = require('./dist/Random').default;
 var EJSON = require('./dist/EJSON').default;
 var Base64 = require('./dist/Base64').default;
 var PromiseQueue = require('./dist/PromiseQueue').default;
+var DuplicateKeyError = require('./dist/DuplicateKeyError').default;
+var IndexBuildError = require('./dist/IndexBuildError').default;
+var BulkWriteError = require('./dist/BulkWriteError').default;
+var Transaction = require('./dist/Transaction').default;
 
 
 module.exports = {
@@ -16,9 +21,14 @@ module.exports = {
   EJSON: EJSON,
   Base64: Base64,
   Collection: Collection,
+  Database: Database,
   CursorObservable: CursorObservable,
   StorageManager: StorageManager,
   EventEmitter: EventEmitter,
   PromiseQueue: PromiseQueue,
+  DuplicateKeyError: DuplicateKeyError,
+  IndexBuildError: IndexBuildError,
+  BulkWriteError: BulkWriteError,
+  Transaction: Transaction,
   debounce: debounce
 };
@@ -0,0 +1,256 @@
+import _filter from 'fast.js/array/filter';
+import {MongoTypeComp} from './Document';
+
+
+// Internals
+function defaultCheckValueEquality(a, b) {
+  return a === b;
+}
+
+function height(node) {
+  return node ? node.height : 0;
+}
+
+function updateHeight(node) {
+  node.height = Math.max(height(node.left), height(node.right)) + 1;
+  return node;
+}
+
+function rotateRight(node) {
+  const root = node.left;
+  node.left = root.right;
+  root.right = updateHeight(node);
+  return updateHeight(root);
+}
+
+function rotateLeft(node) {
+  const root = node.right;
+  node.right = root.left;
+  root.left = updateHeight(node);
+  return updateHeight(root);
+}
+
+function balance(node) {
+  updateHeight(node);
+  const balanceFactor = height(node.left) - height(node.right);
+  if (balanceFactor > 1) {
+    if (height(node.left.left) < height(node.left.right)) {
+      node.left = rotateLeft(node.left);
+    }
+    return rotateRight(node);
+  } else if (balanceFactor < -1) {
+    if (height(node.right.right) < height(node.right.left)) {
+      node.right = rotateRight(node.right);
+    }
+    return rotateLeft(node);
+  }
+  return node;
+}
+
+function removeMin(node) {
+  if (!node.left) {
+    return node.right;
+  }
+  node.left = removeMin(node.left);
+  return balance(node);
+}
+
+
+/**
+ * Self-balancing binary search tree. Each node holds
+ * a key and a list of values associated with the key.
+ * By default keys compared with MongoDB types ordering
+ * and values compared with strict equality.
+ */
+export class AVLTree {
+  constructor(options = {}) {
+    this.compareKeys = options.compareKeys || MongoTypeComp._cmp;
+    this.checkValueEquality = options.checkValueEquality ||
+      defaultCheckValueEquality;
+    this.root = null;
+    this._numberOfKeys = 0;
+  }
+
+  /**
+   * Add a value for the key. Same value for the same key
+   * stored only once.
+   * @param  {Mixed} key
+   * @param  {Mixed} value
+   */
+  insert(key, value) {
+    this.root = this._insert(this.root, key, value);
+  }
+
+  /**
+   * Remove a value from the key. The key removed from
+   * the tree when no more values associated with it.
+   * @param  {Mixed} key
+   * @param  {Mixed} value
+   */
+  delete(key, value) {
+    this.root = this._delete(this.root, key, value);
+  }
+
+  /**
+   * Returns a list of values associated with given key
+   * @param  {Mixed} key
+   * @return {Array}
+   */
+  search(key) {
+    let node = this.root;
+    while (node) {
+      const cmp = this.compareKeys(key, node.key);
+      if (cmp === 0) {
+        return node.values.slice();
+      }
+      node = cmp < 0 ? node.left : node.right;
+    }
+    return [];
+  }
+
+  /**
+   * Returns all values of the keys that satisfies given
+   * bounds (`$gt`, `$gte`, `$lt`, `$lte`) in order of the keys
+   * @param  {Object} query
+   * @return {Array}
+   */
+  betweenBounds(query) {
+    const res = [];
+    this.forEach((key, values) => {
+      for (let i = 0; i < values.length; i++) {
+        res.push(values[i]);
+      }
+    }, { bounds: query });
+    return res;
+  }
+
+  /**
+   * In-order traversal of the tree. Calls `fn` with a key
+   * and a list of values for each key. Traversal stopped when
+   * `fn` returns false. With `options.bounds` only keys that
+   * satisfies the bounds visited. Reversed order
+   * with `options.reverse`.
+   * @param  {Function} fn
+   * @param  {Object} options.bounds
+   * @param  {Boolean} options.reverse
+   */
+  forEach(fn, options = {}) {
+    const bounds = options.bounds || {};
+    const reverse = !!options.reverse;
+    const compare = this.compareKeys;
+
+    const aboveLower = (key) => {
+      if (bounds.hasOwnProperty('$gt') && compare(key, bounds.$gt) <= 0) {
+        return false;
+      }
+      if (bounds.hasOwnProperty('$gte') && compare(key, bounds.$gte) < 0) {
+        return false;
+      }
+      return true;
+    };
+
+    const belowUpper = (key) => {
+      if (bounds.hasOwnProperty('$lt') && compare(key, bounds.$lt) >= 0) {
+        return false;
+      }
+      if (bounds.hasOwnProperty('$lte') && compare(key, bounds.$lte) > 0) {
+        return false;
+      }
+      return true;
+    };
+
+    const traverse = (node) => {
+      if (!node) {
+        return true;
+      }
+
+      const goLeft = aboveLower(node.key);
+      const goRight = belowUpper(node.key);
+      const first = reverse ? node.right : node.left;
+      const second = reverse ? node.left : node.right;
+      const goFirst = reverse ? goRight : goLeft;
+      const goSecond = reverse ? goLeft : goRight;
+
+      if (goFirst && !traverse(first)) {
+        return false;
+      }
+      if (goLeft && goRight && fn(node.key, node.values) === false) {
+        return false;
+      }
+      if (goSecond && !traverse(second)) {
+        return false;
+      }
+      return true;
+    };
+
+    traverse(this.root);
+  }
+
+  /**
+   * Returns number of unique keys in the tree
+   * @return {Number}
+   */
+  getNumberOfKeys() {
+    return this._numberOfKeys;
+  }
+
+  _insert(node, key, value) {
+    if (!node) {
+      this._numberOfKeys += 1;
+      return {key, values: [value], left: null, right: null, height: 1};
+    }
+
+    const cmp = this.compareKeys(key, node.key);
+    if (cmp === 0) {
+      for (let i = 0; i < node.values.length; i++) {
+        if (this.checkValueEquality(node.values[i], value)) {
+          return node;
+        }
+      }
+      node.values.push(value);
+      return node;
+    } else if (cmp < 0) {
+      node.left = this._insert(node.left, key, value);
+    } else {
+      node.right = this._insert(node.right, key, value);
+    }
+    return balance(node);
+  }
+
+  _delete(node, key, value) {
+    if (!node) {
+      return null;
+    }
+
+    const cmp = this.compareKeys(key, node.key);
+    if (cmp < 0) {
+      node.left = this._delete(node.left, key, value);
+    } else if (cmp > 0) {
+      node.right = this._delete(node.right, key, value);
+    } else {
+      node.values = _filter(node.values,
+        v => !this.checkValueEquality(v, value));
+      if (node.values.length > 0) {
+        return node;
+      }
+
+      this._numberOfKeys -= 1;
+      if (!node.left) {
+        return node.right;
+      } else if (!node.right) {
+        return node.left;
+      }
+
+      let min = node.right;
+      while (min.left) {
+        min = min.left;
+      }
+      node.key = min.key;
+      node.values = min.values;
+      node.right = removeMin(node.right);
+    }
+    return balance(node);
+  }
+}
+
+export default AVLTree;
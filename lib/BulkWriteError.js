@@ -0,0 +1,30 @@
+import _map from 'fast.js/map';
+import ExtendableError from './ExtendableError';
+
+
+/**
+ * Error rised when some operations of `Collection#bulkWrite`
+ * failed. Each element of `errors` is an object with index of
+ * the operation in the list (`index`), the operation itself
+ * (`operation`) and the error (`cause`). `result` is a result
+ * of the bulk write with all succeeded operations.
+ */
+export default class BulkWriteError extends ExtendableError {
+  constructor(errors = [], result = null) {
+    super(
+      `Bulk write failed: ${errors.length} operation(s) failed` +
+      (errors.length ? `. First error: ${errors[0].cause.message}` : '')
+    );
+    this.name = 'BulkWriteError';
+    this.errors = errors;
+    this.result = result;
+  }
+
+  /**
+   * Indexes of failed operations
+   * @return {Array}
+   */
+  get failedIndexes() {
+    return _map(this.errors, e => e.index);
+  }
+}
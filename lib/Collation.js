@@ -0,0 +1,178 @@
+import _check from 'check-types';
+import _keys from 'fast.js/object/keys';
+import invariant from 'invariant';
+import {isArray, isPlainObject, MongoTypeComp} from './Document';
+
+
+// Internals
+const SENSITIVITY_BY_STRENGTH = {
+  1: 'base',
+  2: 'accent',
+  3: 'variant',
+};
+
+function objectToArray(obj) {
+  const res = [];
+  for (const key in obj) {
+    res.push(key);
+    res.push(obj[key]);
+  }
+  return res;
+}
+
+/**
+ * Returns a Collation for given collation specification,
+ * or null if comparison should be binary (no specification
+ * or `simple` locale). Collation object returned as is.
+ * @param  {Object|Collation} spec
+ * @return {Collation}
+ */
+export function makeCollation(spec) {
+  if (!spec || spec.locale === 'simple') {
+    return null;
+  }
+  return spec instanceof Collation ? spec : new Collation(spec);
+}
+
+/**
+ * Returns true if both collations compare values in the same
+ * way (both is null or have the same specification)
+ * @param  {Collation} a
+ * @param  {Collation} b
+ * @return {Boolean}
+ */
+export function isSameCollation(a, b) {
+  if (!a || !b) {
+    return !a && !b;
+  }
+  const specA = a.getDefinition();
+  const specB = b.getDefinition();
+  return specA.locale === specB.locale &&
+    specA.strength === specB.strength &&
+    specA.numericOrdering === specB.numericOrdering;
+}
+
+
+/**
+ * Language-specific rules for comparing strings, based on
+ * `Intl.Collator`. Other types of values compared like in
+ * `MongoTypeComp`, and strings inside of arrays and objects
+ * compared by the collation too.
+ * Options:
+ *   - `locale` – a locale like `en` or `fr-CA` (required)
+ *   - `strength` – 1 compares only base letters, 2 also
+ *     compares diacritics, 3 (default) also compares case
+ *   - `numericOrdering` – compare numeric strings as numbers,
+ *     so `"10"` is greater than `"9"`
+ */
+export class Collation {
+  constructor(options = {}) {
+    invariant(
+      _check.nonEmptyString(options.locale),
+      'Collation(...): you must specify a "locale" option'
+    );
+
+    this.locale = options.locale;
+    this.strength = _check.assigned(options.strength) ? options.strength : 3;
+    this.numericOrdering = !!options.numericOrdering;
+    invariant(
+      SENSITIVITY_BY_STRENGTH.hasOwnProperty(this.strength),
+      'Collation(...): strength must be 1, 2 or 3'
+    );
+
+    this._collator = new Intl.Collator(this.locale, {
+      sensitivity: SENSITIVITY_BY_STRENGTH[this.strength],
+      numeric: this.numericOrdering,
+      usage: 'sort',
+    });
+  }
+
+  /**
+   * Compare two strings by the collation
+   * @param  {String} a
+   * @param  {String} b
+   * @return {Number}
+   */
+  compareStrings(a, b) {
+    return this._collator.compare(a, b);
+  }
+
+  /**
+   * Compare two values of any type like `MongoTypeComp._cmp`
+   * does, but with comparing strings by the collation.
+   * @param  {Any} a
+   * @param  {Any} b
+   * @return {Number}
+   */
+  compare(a, b) {
+    if (a === undefined || b === undefined) {
+      return MongoTypeComp._cmp(a, b);
+    }
+    const ta = MongoTypeComp._type(a);
+    const tb = MongoTypeComp._type(b);
+    if (ta === 2 && tb === 2) {
+      return this.compareStrings(a, b);
+    } else if (ta === 4 && tb === 4) {
+      for (let i = 0; i < a.length && i < b.length; i++) {
+        const cmp = this.compare(a[i], b[i]);
+        if (cmp !== 0) {
+          return cmp;
+        }
+      }
+      return a.length - b.length;
+    } else if (ta === 3 && tb === 3) {
+      return this.compare(objectToArray(a), objectToArray(b));
+    }
+    return MongoTypeComp._cmp(a, b);
+  }
+
+  /**
+   * Deep equality of two values like `MongoTypeComp._equal`,
+   * but with comparing strings by the collation.
+   * @param  {Any} a
+   * @param  {Any} b
+   * @return {Boolean}
+   */
+  equals(a, b) {
+    if (typeof a === 'string' && typeof b === 'string') {
+      return this.compareStrings(a, b) === 0;
+    } else if (isArray(a) && isArray(b)) {
+      if (a.length !== b.length) {
+        return false;
+      }
+      for (let i = 0; i < a.length; i++) {
+        if (!this.equals(a[i], b[i])) {
+          return false;
+        }
+      }
+      return true;
+    } else if (isPlainObject(a) && isPlainObject(b)) {
+      const keysA = _keys(a);
+      const keysB = _keys(b);
+      if (keysA.length !== keysB.length) {
+        return false;
+      }
+      for (let i = 0; i < keysA.length; i++) {
+        if (keysA[i] !== keysB[i] || !this.equals(a[keysA[i]], b[keysB[i]])) {
+          return false;
+        }
+      }
+      return true;
+    }
+    return MongoTypeComp._equal(a, b);
+  }
+
+  /**
+   * Returns the specification of the collation
+   * @return {Object}
+   */
+  getDefinition() {
+    return {
+      locale: this.locale,
+      strength: this.strength,
+      numericOrdering: this.numericOrdering,
+    };
+  }
+}
+
+export default Collation;
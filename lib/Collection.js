@@ -1,13 +1,19 @@
 import _map from 'fast.js/map';
 import _each from 'fast.js/forEach';
+import _keys from 'fast.js/object/keys';
+import _some from 'fast.js/array/some';
 import _check from 'check-types';
+import invariant from 'invariant';
 import EventEmitter from './AsyncEventEmitter';
 import IndexManager from './IndexManager';
 import StorageManager from './StorageManager';
 import CollectionDelegate from './CollectionDelegate';
 import CursorObservable from './CursorObservable';
 import ShortIdGenerator from './ShortIdGenerator';
+import DocumentProjector from './DocumentProjector';
 import EJSON from './EJSON';
+import BulkWriteError from './BulkWriteError';
+import Transaction from './Transaction';
 
 
 // Defaults
@@ -52,6 +58,23 @@ export function _warnIfAlreadyStarted() {
 // Initiate startup
 _resetStartup();
 
+// Operations supported by `bulkWrite`
+const BULK_OPERATIONS = [
+  'insertOne', 'updateOne', 'updateMany',
+  'replaceOne', 'deleteOne', 'deleteMany',
+];
+
+// Returns a clone of the document projected by given
+// projection (if any), or null if there is no document
+function projectDocument(doc, projection) {
+  if (!doc) {
+    return null;
+  }
+  return projection
+    ? new DocumentProjector(projection).project(doc)
+    : EJSON.clone(doc);
+}
+
 /**
  * Core class of the database.
  * It delegates almost all it's methods to managers
@@ -100,6 +123,8 @@ export class Collection extends EventEmitter {
   /**
    * Insert a document into the model and
    * emit `synd:insert` event (if not quiet).
+   * A failed write does not change the collection and
+   * emits `error` event (see `_handleWriteError`).
    * @param  {Object} doc
    * @param  {Boolean} quiet
    * @return {Promise}
@@ -114,7 +139,9 @@ export class Collection extends EventEmitter {
     if (!options.quiet) {
       this.emit('sync:insert', doc, randomId);
     }
-    return this.delegate.insert(doc, options, randomId).then((docId) => {
+    return this.delegate.insert(doc, options, randomId).then(
+      null, this._handleWriteError({ operation: 'insert', doc })
+    ).then((docId) => {
       this.emit('insert', doc, null, randomId);
       return docId;
     });
@@ -148,36 +175,208 @@ export class Collection extends EventEmitter {
     if (!options.quiet) {
       this.emit('sync:remove', query, options);
     }
-    return this.delegate.remove(query, options).then((removedDocs) => {
+    return this.delegate.remove(query, options).then(
+      null, this._handleWriteError({ operation: 'remove', query, options })
+    ).then((removedDocs) => {
       _each(removedDocs, d => this.emit('remove', null, d));
       return removedDocs;
     });
   }
 
   /**
-   * Remove an object (or objects with options.multi)
-   * from the model.
-   * NOTE: `upsert` is not supported, only `multi`
+   * Remove all documents from the storage and from all indexes
+   * at once. Instead of `remove` event for each document a single
+   * `clear` event emitted, which makes observed cursors update.
+   * @param  {Object} options
+   * @param  {Boolean} quiet
+   * @return {Promise}
+   */
+  clear(options = {}) {
+    this._lazyInitCollection();
+
+    this.emit('beforeClear', options);
+    if (!options.quiet) {
+      this.emit('sync:clear', options);
+    }
+    return this.delegate.clear(options).then(
+      null, this._handleWriteError({ operation: 'clear', options })
+    ).then(() => {
+      this.emit('clear');
+    });
+  }
+
+  /**
+   * Clear the collection (see `clear`) and remove all indexes
+   * except the index by `_id`. Emits `clear` event and then
+   * `drop` event, so the collection could be unregistered
+   * by its owner.
+   * @param  {Object} options
+   * @param  {Boolean} quiet
+   * @return {Promise}
+   */
+  drop(options = {}) {
+    this._lazyInitCollection();
+
+    this.emit('beforeDrop', options);
+    if (!options.quiet) {
+      this.emit('sync:drop', options);
+    }
+    return this.delegate.drop(options).then(
+      null, this._handleWriteError({ operation: 'drop', options })
+    ).then(() => {
+      this.emit('clear');
+      this.emit('drop');
+    });
+  }
+
+  /**
+   * Wait for all started writes and release resources of the
+   * collection (see `IndexManager#close`). The collection
+   * should not be used after closing.
+   * @return {Promise}
+   */
+  close() {
+    if (!this._initialized) {
+      return Promise.resolve();
+    }
+    return this.delegate.queueWrite(() => undefined).then(() =>
+      this.indexManager.close()
+    );
+  }
+
+  /**
+   * Update an object (or objects with options.multi)
+   * in the model. With `options.upsert` a new document created
+   * from the query and the modifier if nothing matched. Id of
+   * the new document taken from the query or generated by the
+   * id generator of the collection, and `insert` event emitted
+   * for it instead of `update`. Resolved object contains
+   * `upsertedId` in this case (`original` of the document is null).
    * @param  {Object} query
+   * @param  {Object} modifier
    * @param  {Object} options
    * @param  {Boolean} quiet
    * @return {Promise}
    */
   update(query, modifier, options = {}) {
     this._lazyInitCollection();
+    const randomId = options.upsert
+      ? this.idGenerator(this.modelName) : undefined;
 
     this.emit('beforeUpdate', query, modifier, options);
     if (!options.quiet) {
-      this.emit('sync:update', query, modifier, options);
+      this.emit('sync:update', query, modifier, options, randomId);
     }
-    return this.delegate.update(query, modifier, options).then(res => {
+    return this.delegate.update(query, modifier, options, randomId).then(
+      null, this._handleWriteError({ operation: 'update', query, modifier, options })
+    ).then(res => {
       _each(res.updated, (d, i) => {
-        this.emit('update', d, res.original[i]);
+        if (res.original[i] === null) {
+          this.emit('insert', d, null, randomId);
+        } else {
+          this.emit('update', d, res.original[i]);
+        }
       });
       return res;
     });
   }
 
+  /**
+   * Update one document matched by the query (the first one
+   * by `options.sort`) and return a promise resolved with the
+   * document before the update, or after the update with
+   * `options.returnNew`. Resolved with null if nothing updated
+   * (or if a new document upserted without `returnNew`).
+   * The document is projected by `options.projection`.
+   * Other options and events are the same as in `update`.
+   * Finding and updating is atomic, because both executed
+   * by `update` in the write queue of the collection.
+   * @param  {Object} query
+   * @param  {Object} modifier
+   * @param  {Object} options.sort
+   * @param  {Boolean} options.returnNew
+   * @param  {Boolean} options.upsert
+   * @param  {Object} options.projection
+   * @return {Promise}
+   */
+  findOneAndUpdate(query, modifier, options = {}) {
+    const {returnNew, projection, ...updateOptions} = options;
+    updateOptions.multi = false;
+    return this.update(query, modifier, updateOptions).then((res) => {
+      const doc = returnNew ? res.updated[0] : res.original[0];
+      return projectDocument(doc, projection);
+    });
+  }
+
+  /**
+   * Remove one document matched by the query (the first one
+   * by `options.sort`) and return a promise resolved with
+   * the removed document (projected by `options.projection`),
+   * or with null if nothing removed. Atomic like `findOneAndUpdate`.
+   * @param  {Object} query
+   * @param  {Object} options.sort
+   * @param  {Object} options.projection
+   * @return {Promise}
+   */
+  findOneAndRemove(query, options = {}) {
+    const {projection, ...removeOptions} = options;
+    removeOptions.multi = false;
+    return this.remove(query, removeOptions).then((removedDocs) =>
+      projectDocument(removedDocs[0], projection)
+    );
+  }
+
+  /**
+   * Execute a list of write operations. Each operation is an object
+   * with one of the keys:
+   *   - `insertOne: {document}`
+   *   - `updateOne: {filter, update, upsert}`
+   *   - `updateMany: {filter, update, upsert}`
+   *   - `replaceOne: {filter, replacement, upsert}`
+   *   - `deleteOne: {filter}`
+   *   - `deleteMany: {filter}`
+   * With `options.ordered` (true by default) execution stopped on
+   * the first failed operation, otherwise all operations executed.
+   * Consecutive inserts indexed one by one and persisted together.
+   * Batching of updates and removes is out of scope: next operations
+   * find documents in the storage, so each update and remove indexed
+   * and persisted before the next operation. Instead of events for each document a single
+   * `batch` event emitted with a list of `{newDoc, oldDoc}` of all
+   * changed documents.
+   * Resolved with per-operation `results` and counts of changed
+   * documents. Result of an update is `{modified}` like in `update`
+   * (with `upsertedId` for an upsert, counted only in
+   * `upsertedCount`). If some operation failed the promise rejected with
+   * BulkWriteError that contains the result too, and `error` event
+   * emitted (see `_handleWriteError`). The promise rejected without
+   * executing any operation if some operation is invalid.
+   * @param  {Array} operations
+   * @param  {Boolean} options.ordered
+   * @param  {Boolean} options.quiet
+   * @return {Promise}
+   */
+  bulkWrite(operations, options = {}) {
+    this._lazyInitCollection();
+    const ordered = options.ordered !== false;
+    return Promise.resolve().then(() => {
+      invariant(
+        _check.array(operations),
+        'bulkWrite(...): operations must be an array'
+      );
+      const preparedOps = _map(operations, op => this._prepareBulkOperation(op));
+
+      this.emit('beforeBulkWrite', preparedOps, options);
+      if (!options.quiet) {
+        this.emit('sync:bulkWrite', preparedOps, options);
+      }
+      return this.delegate.bulkWrite(preparedOps, { ordered }).then(
+        (res) => this._getBulkWriteResult(res)
+      ).then(
+        null, this._handleWriteError({ operation: 'bulkWrite', operations, options })
+      );
+    });
+  }
+
   /**
    * Make a cursor with given query and return.
    * By default all documents clonned before passed
@@ -206,11 +405,12 @@ export class Collection extends EventEmitter {
   }
 
   /**
-   * Returns a number of matched by query objects. It's
-   * based on `ids` function and uses only indexes.
-   * In this case it's much more faster then doing
+   * Returns a number of matched by query objects. When
+   * the query could be answered by indexes it uses only
+   * indexes, and in this case it's much more faster then doing
    * `find().length`, because it does not going to the
-   * storage.
+   * storage. Otherwise documents scanned like in `find`.
+   * `cursor.coveredByIndex` tells which way was used.
    * @param  {Object} query
    * @return {CursorObservable}
    */
@@ -221,7 +421,7 @@ export class Collection extends EventEmitter {
 
   /**
    * Return a list of ids by given query. Uses only
-   * indexes.
+   * indexes when it's possible (see `count`).
    * @param  {Object} query
    * @return {CursorObservable}
    */
@@ -230,6 +430,205 @@ export class Collection extends EventEmitter {
     return this.delegate.ids(query, options);
   }
 
+  /**
+   * Returns a cursor resolved with a list of distinct values
+   * of the field (dotted path) of documents matched by the query.
+   * Elements of arrays are distinct values by its own, values
+   * compared like by `EJSON.equals`, and documents without the
+   * field are ignored. With an empty query values taken from
+   * a simple index by the field if there is one. The cursor could
+   * be observed to get new values on each change.
+   * @param  {String} field
+   * @param  {Object} query
+   * @param  {Object} options
+   * @return {CursorObservable}
+   */
+  distinct(field, query = {}, options = {}) {
+    this._lazyInitCollection();
+    invariant(
+      _check.nonEmptyString(field),
+      'distinct(...): field must be a non-empty string'
+    );
+    return this.delegate.distinct(field, query, options);
+  }
+
+  /**
+   * Create an index with given options if it does not exist
+   * (see `IndexManager#ensureIndex`). Returned promise resolved
+   * when the index is built. While building `indexBuildProgress`
+   * events emitted. If some document can't be indexed, the index
+   * is not created and the promise rejected with IndexBuildError.
+   * Rejected also if the index exists with other options.
+   * @param  {Object} options
+   * @return {Promise}
+   */
+  ensureIndex(options) {
+    this._lazyInitCollection();
+    return this.indexManager.ensureIndex(options);
+  }
+
+  /**
+   * Remove an index by name. Index by `_id` can't be removed.
+   * Returned promise rejected if the index can't be removed.
+   * @param  {String} name
+   * @return {Promise}
+   */
+  dropIndex(name) {
+    this._lazyInitCollection();
+    return Promise.resolve().then(() => {
+      invariant(
+        name !== '_id',
+        'dropIndex(...): index by _id field can\'t be dropped'
+      );
+      invariant(
+        this.indexManager.indexes[name],
+        'dropIndex(...): index "%s" does not exist',
+        name
+      );
+      return this.indexManager.removeIndex(name);
+    });
+  }
+
+  /**
+   * Returns a promise resolved with a list of definitions
+   * of all indexes of the collection (see `getDefinition`
+   * of an index). Indexes are waited to be built, and indexes
+   * failed to build are not listed.
+   * @return {Promise}
+   */
+  listIndexes() {
+    this._lazyInitCollection();
+    const indexes = this.indexManager.indexes;
+    return Promise.all(
+      _map(_keys(indexes), k =>
+        indexes[k].buildPromise && indexes[k].buildPromise.then(null, () => {})
+      )
+    ).then(() => {
+      const builtIndexes = this.indexManager.indexes;
+      return _map(_keys(builtIndexes), k => builtIndexes[k].getDefinition());
+    });
+  }
+
+  /**
+   * Returns a rejection handler for a write operation, which
+   * emits `error` event with the error and given description
+   * of the operation (an object with `operation` name and
+   * arguments of the operation) and rethrows the error.
+   * Delegate reverts all changes of a failed write, so
+   * the collection stays the same as before the write.
+   * @param  {Object} description
+   * @return {Function}
+   */
+  _handleWriteError(description) {
+    return (e) => {
+      this.emit('error', e, description);
+      throw e;
+    };
+  }
+
+  /**
+   * Convert an operation of `bulkWrite` to an operation
+   * of the delegate: `insert` with the document, `update`
+   * or `remove` with query and options.
+   * @param  {Object} op
+   * @return {Object}
+   */
+  _prepareBulkOperation(op) {
+    const keys = _check.object(op) ? _keys(op) : [];
+    invariant(
+      keys.length === 1 && BULK_OPERATIONS.indexOf(keys[0]) >= 0,
+      'bulkWrite(...): unknown operation %s',
+      keys.join(', ')
+    );
+
+    const name = keys[0];
+    const args = op[name] || {};
+    if (name === 'insertOne') {
+      invariant(
+        _check.object(args.document),
+        'bulkWrite(...): insertOne operation must have a document'
+      );
+      const randomId = this.idGenerator(this.modelName);
+      const doc = this.create(args.document);
+      doc._id = doc._id || randomId.value;
+      return { type: 'insert', doc };
+    }
+
+    const query = args.filter || {};
+    if (name === 'deleteOne' || name === 'deleteMany') {
+      return {
+        type: 'remove', query,
+        options: { multi: name === 'deleteMany' },
+      };
+    }
+
+    let modifier = args.update;
+    if (name === 'replaceOne') {
+      modifier = args.replacement;
+      invariant(
+        _check.object(modifier) && !_some(_keys(modifier), k => k[0] === '$'),
+        'bulkWrite(...): replacement of replaceOne must be a document ' +
+        'without update operators'
+      );
+    } else {
+      invariant(
+        _check.object(modifier),
+        'bulkWrite(...): %s operation must have an update',
+        name
+      );
+    }
+
+    const upsert = !!args.upsert;
+    return {
+      type: 'update', query, modifier,
+      options: { multi: name === 'updateMany', upsert },
+      randomId: upsert ? this.idGenerator(this.modelName) : undefined,
+    };
+  }
+
+  /**
+   * Emit `batch` event with changes of a bulk write executed by
+   * the delegate and return the result of `bulkWrite`. Throws
+   * BulkWriteError if some operation failed.
+   * @param  {Object} res
+   * @return {Object}
+   */
+  _getBulkWriteResult(res) {
+    if (res.changes.length) {
+      this.emit('batch', res.changes);
+    }
+
+    const result = {
+      results: res.results,
+      insertedCount: 0,
+      modifiedCount: 0,
+      deletedCount: 0,
+      upsertedCount: 0,
+      insertedIds: {},
+      upsertedIds: {},
+    };
+    _each(res.results, (opResult, i) => {
+      if (!opResult) {
+        return;
+      } else if (opResult.insertedId !== undefined) {
+        result.insertedCount += 1;
+        result.insertedIds[i] = opResult.insertedId;
+      } else if (opResult.upsertedId !== undefined) {
+        result.upsertedCount += 1;
+        result.upsertedIds[i] = opResult.upsertedId;
+      } else if (opResult.deleted !== undefined) {
+        result.deletedCount += opResult.deleted;
+      } else {
+        result.modifiedCount += opResult.modified;
+      }
+    });
+
+    if (res.errors.length) {
+      throw new BulkWriteError(res.errors, result);
+    }
+    return result;
+  }
+
   /**
    * Initialize collection managers by stored options. It is
    * used for solving execution order problem of Collection
@@ -330,6 +729,25 @@ export class Collection extends EventEmitter {
     }
   }
 
+  /**
+   * Execute given function with a new Transaction and commit it
+   * when the function finished. Writes through the transaction
+   * (`tx.insert(collection, doc)`, `tx.update(collection, ...)`,
+   * `tx.remove(collection, ...)`) may touch many collections.
+   * Writes buffered until commit, reads of the transaction
+   * (`tx.find(collection, ...)`, `tx.findOne(collection, ...)`)
+   * see them. If the function thrown an error (or returned
+   * a rejected promise) all writes dropped and returned promise
+   * rejected with the error. Commit rejected if some document
+   * written by the transaction was changed outside of it.
+   * Events of writes emitted only on commit (see `Transaction`).
+   * @param  {Function} fn
+   * @return {Promise}
+   */
+  static transaction(fn) {
+    return new Transaction().run(fn);
+  }
+
   /**
    * Execute some function after current execution cycle. For using fully
    * configured collection.
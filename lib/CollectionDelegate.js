@@ -1,5 +1,54 @@
+import _check from 'check-types';
+import _assign from 'fast.js/object/assign';
 import _map from 'fast.js/map';
+import _each from 'fast.js/forEach';
+import _filter from 'fast.js/array/filter';
+import _some from 'fast.js/array/some';
+import _keys from 'fast.js/object/keys';
 import DocumentModifier from './DocumentModifier';
+import QueryPlanner from './QueryPlanner';
+import PromiseQueue from './PromiseQueue';
+import CollectionIndex from './CollectionIndex';
+import DocumentRetriver from './DocumentRetriver';
+import EJSON from './EJSON';
+import {isArray} from './Document';
+import {makeLookupFunction} from './DocumentMatcher';
+
+
+// Internals
+// Values taken from not cloned documents, so a copy added
+function pushDistinct(values, value) {
+  if (!_some(values, x => EJSON.equals(x, value))) {
+    values.push(EJSON.clone(value));
+  }
+}
+
+// Distinct values of the field of given documents.
+// Elements of an array are distinct values by its own.
+function getDistinctValues(docs, lookup) {
+  const res = [];
+  _each(docs, (doc) => {
+    _each(lookup(doc), (branch) => {
+      if (isArray(branch.value) && !branch.dontIterate) {
+        _each(branch.value, x => pushDistinct(res, x));
+      } else if (branch.value !== undefined) {
+        pushDistinct(res, branch.value);
+      }
+    });
+  });
+  return res;
+}
+
+// Revert changes of a failed write by given function and rethrow
+// the error of the write. A failed revert does not hide the
+// error, it attached to the error as `revertError`
+function revertAndThrow(e, revert) {
+  return Promise.resolve().then(revert).then(null, (revertError) => {
+    e.revertError = revertError;
+  }).then(() => {
+    throw e;
+  });
+}
 
 
 /**
@@ -9,59 +58,210 @@ import DocumentModifier from './DocumentModifier';
 export class CollectionDelegate {
   constructor(db) {
     this.db = db;
+    this._writeQueue = new PromiseQueue(1);
+  }
+
+  /**
+   * Execute given write function after all previous writes
+   * to the collection finished. All writes of the delegate
+   * go through this queue, so each write (with finding
+   * of documents to modify) works like it is the only one.
+   * @param  {Function} fn
+   * @return {Promise}
+   */
+  queueWrite(fn) {
+    return this.db.indexManager.trackWrite(this._writeQueue.add(fn));
   }
 
   insert(doc, options = {}, randomId) {
-    return this.db.indexManager.indexDocument(doc).then(() =>
-      this.db.storageManager.persist(doc._id, doc).then(() =>
-        doc._id
-      )
+    return this.queueWrite(() => this._doInsert(doc));
+  }
+
+  remove(query, options) {
+    return this.queueWrite(() => this._doRemove(query, options));
+  }
+
+  update(query, modifier, options, randomId) {
+    return this.queueWrite(() =>
+      this._doUpdate(query, modifier, options, randomId)
+    );
+  }
+
+  clear() {
+    return this.queueWrite(() => this._doClear());
+  }
+
+  drop() {
+    return this.queueWrite(() =>
+      this._doClear().then(() => {
+        const indexManager = this.db.indexManager;
+        return Promise.all(_map(
+          _filter(_keys(indexManager.indexes), k => k !== '_id'),
+          k => indexManager.removeIndex(k)
+        ));
+      })
     );
   }
 
-  remove(query, {sort = {_id: 1}, multi = false}) {
+  // Indexes cleared first, so persisted indexes marked as not
+  // consistent with documents before the storage destroyed
+  _doClear() {
+    return this.db.indexManager.clearIndexes().then(() =>
+      this.db.storageManager.destroy()
+    );
+  }
+
+  _doInsert(doc) {
+    return this._applyChanges([null], [doc]).then(() => doc._id);
+  }
+
+  _doRemove(query, {sort = {_id: 1}, multi = false}) {
     return this.find(query, {noClone: true})
       .sort(sort).then((docs) => {
         if (docs.length > 1 && !multi) {
           docs = [docs[0]];
         }
-        const removeStorgePromises = _map(docs, d =>
-          this.db.storageManager.delete(d._id)
-        );
-        const removeIndexPromises = _map(docs, d =>
-          this.db.indexManager.deindexDocument(d)
-        );
-        return Promise.all([
-          ...removeStorgePromises,
-          ...removeIndexPromises,
-        ]).then(() => docs);
+        const removed = _map(docs, () => null);
+        return this._applyChanges(docs, removed).then(() => docs);
       });
   }
 
-  update(query, modifier, {sort = {_id: 1}, multi = false, upsert = false}) {
+  _doUpdate(query, modifier, {sort = {_id: 1}, multi = false, upsert = false}, randomId) {
     return this.find(query, {noClone: true})
       .sort(sort).then((docs) => {
         if (docs.length > 1 && !multi) {
           docs = [docs[0]];
         }
-        return new DocumentModifier(query)
-          .modify(docs, modifier, { upsert });
+        const textIndex = new QueryPlanner(this.db).getTextIndex();
+        return new DocumentModifier(query, { textIndex }).modify(docs, modifier, {
+          upsert,
+          upsertId: randomId && randomId.value,
+        });
       }).then(({original, updated}) => {
-        const updateStorgePromises = _map(updated, d =>
-          this.db.storageManager.persist(d._id, d)
-        );
-        const updateIndexPromises = _map(updated, (d, i) =>
-          this.db.indexManager.reindexDocument(original[i], d)
+        return this._applyChanges(original, updated).then(() => {
+          const res = {
+            modified: updated.length,
+            original: original,
+            updated: updated,
+          };
+          if (updated.length && original[0] === null) {
+            res.upsertedId = updated[0]._id;
+          }
+          return res;
+        });
+      });
+  }
+
+  /**
+   * Returns a cursor with a list of distinct values of the field
+   * of documents matched by the query (see `Collection#distinct`).
+   * Without a query values taken from keys of a simple index
+   * by the field (if any), so documents not retrived.
+   * @param  {String} field
+   * @param  {Object} query
+   * @param  {Object} options
+   * @return {Cursor}
+   */
+  distinct(field, query = {}, options = {}) {
+    const lookup = makeLookupFunction(field);
+    const allDocuments = _check.object(query) && _keys(query).length === 0;
+    const cursor = this.find(query, _assign({}, options, {
+      noClone: true,
+      idsOnly: allDocuments && !!this._getDistinctIndex(field),
+    }));
+    return cursor.aggregate((docs) => {
+      if (!cursor.coveredByIndex) {
+        return getDistinctValues(docs, lookup);
+      }
+
+      // The index may be removed after the cursor created
+      const index = this._getDistinctIndex(field);
+      if (index) {
+        return _map(_filter(index.getKeys(), k => k !== undefined), k => EJSON.clone(k));
+      }
+      const ids = _map(docs, d => d._id);
+      return new DocumentRetriver(this.db).retriveIds(undefined, ids)
+        .then(fullDocs => getDistinctValues(fullDocs, lookup));
+    });
+  }
+
+  /**
+   * Execute a list of prepared write operations (see
+   * `Collection#bulkWrite`) one by one. Consecutive inserts
+   * indexed one by one and persisted to the storage together.
+   * Updates and removes are not batched (out of scope), they
+   * applied like usual writes, because next operations find
+   * documents in the storage.
+   * In ordered mode execution stopped on the first failed
+   * operation, otherwise all operations executed.
+   * Resolved with an object with a result of each operation
+   * (`results`, null for failed or not executed operations),
+   * a list of `{index, operation, cause}` for each failed
+   * operation (`errors`) and a list of `{newDoc, oldDoc}` for
+   * each changed document (`changes`).
+   * @param  {Array} operations
+   * @param  {Boolean} options.ordered
+   * @return {Promise}
+   */
+  bulkWrite(operations, {ordered = true} = {}) {
+    const results = _map(operations, () => null);
+    const errors = [];
+    const changes = [];
+    const addError = (index, cause) => {
+      errors.push({ index, operation: operations[index], cause });
+    };
+
+    const executeOperation = (op, i) => {
+      if (op.type === 'update') {
+        return this._doUpdate(op.query, op.modifier, op.options, op.randomId).then((res) => {
+          _each(res.updated, (d, j) => {
+            changes.push({ newDoc: d, oldDoc: res.original[j] });
+          });
+          results[i] = res.upsertedId !== undefined
+            ? { modified: res.modified, upsertedId: res.upsertedId }
+            : { modified: res.modified };
+        });
+      }
+      return this._doRemove(op.query, op.options).then((docs) => {
+        _each(docs, d => changes.push({ newDoc: null, oldDoc: d }));
+        results[i] = { deleted: docs.length };
+      });
+    };
+
+    const executeFrom = (i) => {
+      if (i >= operations.length || (ordered && errors.length > 0)) {
+        return Promise.resolve();
+      }
+
+      const op = operations[i];
+      if (op.type !== 'insert') {
+        return executeOperation(op, i).then(
+          () => executeFrom(i + 1),
+          (e) => {
+            addError(i, e);
+            return executeFrom(i + 1);
+          }
         );
-        return Promise.all([
-          ...updateStorgePromises,
-          ...updateIndexPromises,
-        ]).then(() => ({
-          modified: updated.length,
-          original: original,
-          updated: updated,
-        }));
+      }
+
+      let end = i;
+      while (end < operations.length && operations[end].type === 'insert') {
+        end += 1;
+      }
+      return this._bulkInsert(operations, i, end, ordered).then((res) => {
+        _each(res.inserted, (index) => {
+          const doc = operations[index].doc;
+          changes.push({ newDoc: doc, oldDoc: null });
+          results[index] = { insertedId: doc._id };
+        });
+        _each(res.errors, e => addError(e.index, e.cause));
+        return executeFrom(end);
       });
+    };
+
+    return this.queueWrite(() =>
+      executeFrom(0).then(() => ({ results, errors, changes }))
+    );
   }
 
   find(query, options = {}) {
@@ -76,16 +276,169 @@ export class CollectionDelegate {
   }
 
   count(query, options = {}) {
-    options.noClone = true;
-    return this.find(query, options)
+    const idsOptions = _assign({}, options, { noClone: true, idsOnly: true });
+    return this.find(query, idsOptions)
       .aggregate((docs) => docs.length);
   }
 
   ids(query, options = {}) {
-    options.noClone = true;
-    return this.find(query, options)
+    const idsOptions = _assign({}, options, { noClone: true, idsOnly: true });
+    return this.find(query, idsOptions)
       .map((doc) => doc._id);
   }
+
+  /**
+   * Index documents of insert operations from `start` to `end`
+   * one by one and persist all indexed documents together.
+   * In ordered mode indexing stopped on the first failed document.
+   * Resolved with indexes of inserted operations and a list
+   * of `{index, cause}` for failed operations.
+   * @param  {Array} operations
+   * @param  {Number} start
+   * @param  {Number} end
+   * @param  {Boolean} ordered
+   * @return {Promise}
+   */
+  _bulkInsert(operations, start, end, ordered) {
+    const inserted = [];
+    const errors = [];
+    const indexFrom = (i) => {
+      if (i >= end || (ordered && errors.length > 0)) {
+        return Promise.resolve();
+      }
+      return this.db.indexManager.indexDocument(operations[i].doc).then(
+        () => inserted.push(i),
+        (e) => errors.push({ index: i, cause: e })
+      ).then(() => indexFrom(i + 1));
+    };
+
+    return indexFrom(start).then(() => {
+      const docs = _map(inserted, i => operations[i].doc);
+      const original = _map(docs, () => null);
+      return this._persistChanges(original, docs).then(
+        () => ({ inserted, errors }),
+        (e) => this._revertChanges(original, docs).then(null, (revertError) => {
+          e.revertError = revertError;
+        }).then(() => {
+          const allErrors = errors.concat(_map(inserted, i => ({ index: i, cause: e })));
+          allErrors.sort((a, b) => a.index - b.index);
+          return { inserted: [], errors: allErrors };
+        })
+      );
+    });
+  }
+
+  /**
+   * Returns a built index by given field, which keys are
+   * distinct values of the field of all documents, or null
+   * @param  {String} field
+   * @return {CollectionIndex}
+   */
+  _getDistinctIndex(field) {
+    const indexes = this.db.indexes || {};
+    const key = _filter(_keys(indexes), k => {
+      const index = indexes[k];
+      return index instanceof CollectionIndex && !index.buildPromise &&
+        index.fieldName === field && !index.partialFilterExpression &&
+        !index.collation;
+    })[0];
+    return key ? indexes[key] : null;
+  }
+
+  /**
+   * Apply changes of documents to indexes and then to the storage.
+   * Each `original[i]` replaced with `updated[i]` (original is null
+   * for inserted documents, updated is null for removed ones). If some
+   * change can't be applied, all changes reverted (both in indexes and
+   * in the storage) and returned promise rejected with the error
+   * (with `revertError` if reverting failed too).
+   * @param  {Array} original
+   * @param  {Array} updated
+   * @return {Promise}
+   */
+  _applyChanges(original, updated) {
+    return this._indexChanges(original, updated).then(() =>
+      this._persistChanges(original, updated).then(null, (e) =>
+        revertAndThrow(e, () => this._revertChanges(original, updated))
+      )
+    );
+  }
+
+  /**
+   * Apply changes of documents to indexes one by one. If some
+   * document can't be indexed (unique constraint violated,
+   * for example), then all already applied changes reverted
+   * in reversed order and returned promise rejected with the error.
+   * @param  {Array} original
+   * @param  {Array} updated
+   * @return {Promise}
+   */
+  _indexChanges(original, updated) {
+    const reindex = (i) => {
+      if (i >= updated.length) {
+        return Promise.resolve();
+      }
+      return this._indexChange(original[i], updated[i]).then(
+        () => reindex(i + 1),
+        (e) => revertAndThrow(e, () =>
+          this._revertIndexChanges(original, updated, i - 1)
+        )
+      );
+    };
+    return reindex(0);
+  }
+
+  /**
+   * Revert changes of documents applied to indexes and to the
+   * storage. Storage reverted for all documents, because
+   * a failed storage write may be partially applied.
+   * A failed revert of some document does not stop reverting
+   * of others, returned promise rejected with the first error.
+   * @param  {Array} original
+   * @param  {Array} updated
+   * @return {Promise}
+   */
+  _revertChanges(original, updated) {
+    const revertStorage = () => this._persistChanges(updated, original);
+    return this._revertIndexChanges(original, updated, updated.length - 1).then(
+      revertStorage,
+      (e) => revertStorage().then(() => {
+        throw e;
+      }, () => {
+        throw e;
+      })
+    );
+  }
+
+  _revertIndexChanges(original, updated, lastIndex) {
+    const revert = (i, error) => {
+      if (i < 0) {
+        return error ? Promise.reject(error) : Promise.resolve();
+      }
+      return this._indexChange(updated[i], original[i]).then(
+        () => revert(i - 1, error),
+        (e) => revert(i - 1, error || e)
+      );
+    };
+    return revert(lastIndex, null);
+  }
+
+  _indexChange(oldDoc, newDoc) {
+    const indexManager = this.db.indexManager;
+    if (!oldDoc) {
+      return indexManager.indexDocument(newDoc);
+    } else if (!newDoc) {
+      return indexManager.deindexDocument(oldDoc);
+    }
+    return indexManager.reindexDocument(oldDoc, newDoc);
+  }
+
+  _persistChanges(original, updated) {
+    const storageManager = this.db.storageManager;
+    return Promise.all(_map(updated, (d, i) =>
+      d ? storageManager.persist(d._id, d) : storageManager.delete(original[i]._id)
+    ));
+  }
 }
 
 export default CollectionDelegate;
@@ -1,50 +1,571 @@
+import _check from 'check-types';
+import _each from 'fast.js/forEach';
+import _every from 'fast.js/array/every';
+import _some from 'fast.js/array/some';
+import _keys from 'fast.js/object/keys';
+import _map from 'fast.js/map';
 import invariant from 'invariant';
+import AVLTree from './AVLTree';
+import DuplicateKeyError from './DuplicateKeyError';
+import {isArray, isOperatorObject, isPlainObject,
+  MongoTypeComp} from './Document';
+import DocumentMatcher, {makeLookupFunction} from './DocumentMatcher';
+import {makeCollation} from './Collation';
 
 
+// Internals
+const INEQUALITY_OPERATORS = {
+  $gt: (cmp) => cmp > 0,
+  $gte: (cmp) => cmp >= 0,
+  $lt: (cmp) => cmp < 0,
+  $lte: (cmp) => cmp <= 0,
+};
+
+const PARTIAL_FILTER_OPERATORS = {
+  $exists: (operand) => operand === true,
+  $gt: () => true,
+  $gte: () => true,
+  $lt: () => true,
+  $lte: () => true,
+  $type: () => true,
+};
+
+const REVERSED_OPERATORS = {
+  $gt: '$lt',
+  $gte: '$lte',
+  $lt: '$gt',
+  $lte: '$gte',
+};
+
+// Missing field is the same as null for comparison
+// operators (like in DocumentMatcher)
+function normalizeKey(key) {
+  return key === undefined ? null : key;
+}
+
+// Partial filter supports only selectors that can't
+// be satisfied by a missing field or an element of an array
+// that is not satisfied by some other element
+function isValidPartialFilter(filter) {
+  return isPlainObject(filter) && _every(_keys(filter), (key) => {
+    const value = filter[key];
+    if (key === '$and') {
+      return _check.array(value) && _every(value, isValidPartialFilter);
+    } else if (key.charAt(0) === '$') {
+      return false;
+    } else if (value instanceof RegExp) {
+      return false;
+    } else if (!isOperatorObject(value, true)) {
+      return !isPlainObject(value) || _every(_keys(value), k => k.charAt(0) !== '$');
+    }
+    return _every(_keys(value), (op) =>
+      PARTIAL_FILTER_OPERATORS.hasOwnProperty(op) &&
+      PARTIAL_FILTER_OPERATORS[op](value[op])
+    );
+  });
+}
+
+function uniqueKeys(keys, compareKeys) {
+  const res = [];
+  _each(keys, (key) => {
+    if (!_some(res, x => compareKeys(x, key) === 0)) {
+      res.push(key);
+    }
+  });
+  return res;
+}
+
+function typeOrderOf(key) {
+  return MongoTypeComp._typeorder(MongoTypeComp._type(normalizeKey(key)));
+}
+
+// Compares keys of a compound index field by field with
+// respect to the direction of each field. Keys of different
+// length compared only by common prefix, so a shorter key
+// can be used as a bound for all keys starting with it.
+function makeCompoundComparator(fields, compareValues) {
+  return (a, b) => {
+    const len = Math.min(a.length, b.length);
+    for (let i = 0; i < len; i++) {
+      const cmp = compareValues(a[i], b[i]);
+      if (cmp !== 0) {
+        return fields[i].ascending ? cmp : -cmp;
+      }
+    }
+    return 0;
+  };
+}
+
+// Compiles `$gt`, `$gte`, `$lt` and `$lte` operators of the query
+// to tree bounds and a test function for a key. Returns null
+// if the bounds can't be satisfied by any key.
+function compileRange(query, compareValues) {
+  const conditions = [];
+  const bounds = {};
+  _each(_keys(INEQUALITY_OPERATORS), (op) => {
+    if (query.hasOwnProperty(op)) {
+      const operand = normalizeKey(query[op]);
+      conditions.push({ operand, test: INEQUALITY_OPERATORS[op] });
+      if (operand !== null) {
+        bounds[op] = operand;
+      }
+    }
+  });
+
+  // Array bounds never matched and bounds of different
+  // types can't be satisfied at the same time
+  const boundType = conditions.length &&
+    MongoTypeComp._type(conditions[0].operand);
+  if (
+    !conditions.length || boundType === 4 ||
+    !_every(conditions, c => MongoTypeComp._type(c.operand) === boundType)
+  ) {
+    return null;
+  }
+
+  return {
+    bounds,
+    typeOrder: MongoTypeComp._typeorder(boundType),
+    test: (key) => {
+      const normKey = normalizeKey(key);
+      return MongoTypeComp._type(normKey) === boundType &&
+        _every(conditions, c =>
+          c.test(compareValues(normKey, c.operand))
+        );
+    },
+  };
+}
+
+/**
+ * Returns a list of `{path, ascending}` objects for given
+ * index field name. Field name of a compound index is an array
+ * of paths, and each path may be given with a direction like
+ * in a sort specification: `['a', ['b', 'desc']]` or `[['b', -1]]`
+ * @param  {String|Array} fieldName
+ * @return {Array}
+ */
+export function getIndexFields(fieldName) {
+  if (!Array.isArray(fieldName)) {
+    return [{ path: fieldName, ascending: true }];
+  }
+  return _map(fieldName, (field) => {
+    if (!Array.isArray(field)) {
+      return { path: field, ascending: true };
+    }
+    return {
+      path: field[0],
+      ascending: field[1] !== 'desc' && field[1] !== -1,
+    };
+  });
+}
+
+/**
+ * Returns a default name of an index for given field name.
+ * It is the field name itself for a single field index
+ * and something like `a_1_b_-1` for a compound index.
+ * For an index of special type (like `text`) the type used
+ * instead of directions, like `a_text_b_text`.
+ * @param  {String|Array} fieldName
+ * @param  {String} type
+ * @return {String}
+ */
+export function getIndexName(fieldName, type) {
+  if (type) {
+    const paths = Array.isArray(fieldName) ? fieldName : [fieldName];
+    return _map(paths, path => `${path}_${type}`).join('_');
+  } else if (!Array.isArray(fieldName)) {
+    return fieldName;
+  }
+  return _map(getIndexFields(fieldName), (field) =>
+    `${field.path}_${field.ascending ? 1 : -1}`
+  ).join('_');
+}
+
+
+/**
+ * Ordered index by some field of documents. It stores
+ * ids of documents for each value of the field in
+ * a balanced tree and supports point lookups and range scans.
+ * Documents without the field are stored by `undefined` key.
+ * Unique index rejects a document (with DuplicateKeyError)
+ * if the key already exists in the index.
+ *
+ * Compound index (`fieldName` is an array) uses an array of
+ * values of all its fields as a key, with missing fields
+ * stored as null.
+ *
+ * Each element of an array value indexed separately, so
+ * a document may have many keys in the index. An index with
+ * such documents is marked as `multikey`.
+ *
+ * Sparse index skips documents without any field of the index.
+ * Partial index contains only documents matching
+ * `partialFilterExpression` selector, which may use only
+ * equalities, `$exists: true`, `$gt`, `$gte`, `$lt`, `$lte`,
+ * `$type` and `$and` operators.
+ *
+ * TTL index (with `expireAfterSeconds` option) is a single field
+ * index of dates. Documents with a date older than
+ * `expireAfterSeconds` are removed by IndexManager periodically.
+ *
+ * With `collation` option (see Collation) string keys compared
+ * by language-specific rules, so the index can be used only
+ * for queries with the same collation.
+ */
 export class CollectionIndex {
   constructor(options = {}) {
     invariant(
       options.fieldName,
       'CollectionIndex(...): you must specify a "feildName" option'
     );
-    invariant(
-      !Array.isArray(options.fieldName),
-      'CollectionIndex(...): compound index is not supported yet'
-    );
 
     this.fieldName = options.fieldName;
+    this.name = options.name || getIndexName(options.fieldName);
+    this.fields = getIndexFields(options.fieldName);
+    this.compound = Array.isArray(options.fieldName);
     this.unique = options.unique || false;
     this.sparse = options.sparse || false;
 
+    invariant(
+      this.fields.length > 0 &&
+      _every(this.fields, f => _check.nonEmptyString(f.path)),
+      'CollectionIndex(...): each field of an index must be a non-empty string'
+    );
+
+    this.collation = makeCollation(options.collation);
+    this.partialFilterExpression = options.partialFilterExpression || null;
+    invariant(
+      !this.partialFilterExpression ||
+      isValidPartialFilter(this.partialFilterExpression),
+      'CollectionIndex(...): unsupported partialFilterExpression'
+    );
+
+    this.expireAfterSeconds = _check.assigned(options.expireAfterSeconds)
+      ? options.expireAfterSeconds : null;
+    invariant(
+      this.expireAfterSeconds === null ||
+      (_check.number(this.expireAfterSeconds) &&
+      this.expireAfterSeconds >= 0 && !this.compound),
+      'CollectionIndex(...): expireAfterSeconds must be a non-negative ' +
+      'number of seconds for a single field index'
+    );
+
+    this._lookups = _map(this.fields, f => makeLookupFunction(f.path));
+    this._compareValues = this.collation
+      ? (a, b) => this.collation.compare(a, b)
+      : MongoTypeComp._cmp;
+    this._partialMatcher = this.partialFilterExpression &&
+      new DocumentMatcher(this.partialFilterExpression, {
+        collation: this.collation,
+      });
     this.reset();
   }
 
   reset() {
-    // TODO
+    this.multikey = false;
+    this._tree = new AVLTree(this.compound
+      ? { compareKeys: makeCompoundComparator(this.fields, this._compareValues) }
+      : { compareKeys: this._compareValues }
+    );
   }
 
   insert(doc) {
-    // TODO
+    if (!this.isIndexed(doc)) {
+      return;
+    }
+
+    const {keys, multikey} = this._getKeys(doc);
+    if (this.unique) {
+      _each(keys, (key) => {
+        if (this.getMatching(key).length > 0) {
+          throw new DuplicateKeyError(this.name, key);
+        }
+      });
+    }
+    _each(keys, (key) => {
+      this._tree.insert(key, doc._id);
+    });
+    this.multikey = this.multikey || multikey;
   }
 
   remove(doc) {
-    // TODO
+    if (!this.isIndexed(doc)) {
+      return;
+    }
+    _each(this._getKeys(doc).keys, (key) => {
+      this._tree.delete(key, doc._id);
+    });
   }
 
   update(oldDoc, newDoc) {
-    // TODO
+    if (oldDoc) {
+      this.remove(oldDoc);
+    }
+    try {
+      this.insert(newDoc);
+    } catch (e) {
+      if (oldDoc) {
+        this.insert(oldDoc);
+      }
+      throw e;
+    }
+  }
+
+  revertUpdate(oldDoc, newDoc) {
+    this.remove(newDoc);
+    if (oldDoc) {
+      this.insert(oldDoc);
+    }
+  }
+
+  /**
+   * Returns true if the document should be stored in the
+   * index, i.e. it has some field of a sparse index and
+   * matches a filter of a partial index.
+   * @param  {Object}  doc
+   * @return {Boolean}
+   */
+  isIndexed(doc) {
+    if (this.sparse && !_some(this._lookups, lookup =>
+      _some(lookup(doc), branch => branch.value !== undefined)
+    )) {
+      return false;
+    }
+    return !this._partialMatcher || this._partialMatcher.documentMatches(doc).result;
   }
 
+  /**
+   * Returns a list of ids of documents with field
+   * equals to given value. `null` also matches documents
+   * without the field. For a compound index the value
+   * is an array of values of all fields (or of some
+   * first fields to match by a prefix).
+   * @param  {Mixed} value
+   * @return {Array}
+   */
   getMatching(value) {
-    // TODO
+    if (this.compound) {
+      return value.length < this.fields.length
+        ? this._getCompoundBetweenBounds({}, value)
+        : this._tree.search(_map(value, normalizeKey));
+    } else if (value === null || value === undefined) {
+      return this._tree.search(undefined).concat(this._tree.search(null));
+    }
+    return this._tree.search(value);
+  }
+
+  /**
+   * Returns a list of ids of documents with field
+   * satisfying given `$gt`, `$gte`, `$lt` and `$lte` bounds
+   * in order of the field values. Like in DocumentMatcher,
+   * only values of the same type as a bound are matched.
+   *
+   * For a compound index `prefix` is a list of values of
+   * the first fields, and the bounds (if any) applied to
+   * the next field after the prefix.
+   * @param  {Object} query
+   * @param  {Array}  prefix
+   * @return {Array}
+   */
+  getBetweenBounds(query, prefix = []) {
+    if (this.compound) {
+      return this._getCompoundBetweenBounds(query, prefix);
+    }
+
+    const range = compileRange(query, this._compareValues);
+    if (!range) {
+      return [];
+    }
+
+    const res = [];
+    this._tree.forEach((key, ids) => {
+      if (typeOrderOf(key) > range.typeOrder) {
+        return false;
+      }
+      if (range.test(key)) {
+        for (let i = 0; i < ids.length; i++) {
+          res.push(ids[i]);
+        }
+      }
+    }, { bounds: range.bounds });
+
+    return res;
+  }
+
+  /**
+   * Returns ids of all indexed documents in order of
+   * the field values (or in reversed order with `options.reverse`)
+   * @param  {Boolean} options.reverse
+   * @return {Array}
+   */
+  getAll(options = {}) {
+    const res = [];
+    this._tree.forEach((key, ids) => {
+      for (let i = 0; i < ids.length; i++) {
+        res.push(ids[i]);
+      }
+    }, { reverse: options.reverse });
+    return res;
+  }
+
+  /**
+   * Returns all distinct keys of the index in order. For
+   * a multikey index each element of an array is a key.
+   * Documents without the field indexed by `undefined` key.
+   * @return {Array}
+   */
+  getKeys() {
+    const res = [];
+    this._tree.forEach((key) => {
+      res.push(key);
+    });
+    return res;
+  }
+
+  /**
+   * Returns options of the index which is enough for
+   * creating the same index
+   * @return {Object}
+   */
+  getDefinition() {
+    return {
+      fieldName: this.fieldName,
+      name: this.name,
+      unique: this.unique,
+      sparse: this.sparse,
+      partialFilterExpression: this.partialFilterExpression,
+      expireAfterSeconds: this.expireAfterSeconds,
+      collation: this.collation && this.collation.getDefinition(),
+    };
   }
 
-  getBetweenBounds(query) {
-    // TODO
+  /**
+   * Returns an EJSON-compatible object with all entries
+   * of the index, that could be loaded by `load`.
+   * Each entry is `{k: key, v: ids}`, and `k` is omitted
+   * for `undefined` key.
+   * @return {Object}
+   */
+  serialize() {
+    const entries = [];
+    this._tree.forEach((key, ids) => {
+      entries.push(key === undefined ? { v: ids.slice() } : { k: key, v: ids.slice() });
+    });
+    return {
+      definition: this.getDefinition(),
+      multikey: this.multikey,
+      entries,
+    };
   }
 
-  getAll(options) {
-    // TODO
+  /**
+   * Replace all entries of the index with entries from
+   * an object returned by `serialize`
+   * @param  {Object} data
+   */
+  load(data) {
+    this.reset();
+    _each(data.entries, (entry) => {
+      _each(entry.v, (id) => {
+        this._tree.insert(entry.k, id);
+      });
+    });
+    this.multikey = !!data.multikey;
+  }
+
+  _getCompoundBetweenBounds(query, prefix) {
+    const hasRange = _keys(query).length > 0;
+    invariant(
+      prefix.length + (hasRange ? 1 : 0) <= this.fields.length,
+      'getBetweenBounds(...): prefix is longer than the index'
+    );
+
+    const keyPrefix = _map(prefix, normalizeKey);
+    const bounds = { $gte: keyPrefix, $lte: keyPrefix };
+    let range = null;
+
+    if (hasRange) {
+      range = compileRange(query, this._compareValues);
+      if (!range) {
+        return [];
+      }
+      const ascending = this.fields[keyPrefix.length].ascending;
+      _each(range.bounds, (operand, op) => {
+        const treeOp = ascending ? op : REVERSED_OPERATORS[op];
+        bounds[treeOp] = keyPrefix.concat([operand]);
+      });
+    }
+
+    const res = [];
+    this._tree.forEach((key, ids) => {
+      if (!range || range.test(key[keyPrefix.length])) {
+        for (let i = 0; i < ids.length; i++) {
+          res.push(ids[i]);
+        }
+      }
+    }, { bounds });
+
+    return res;
+  }
+
+  /**
+   * Returns a list of unique keys of the document. Every element
+   * of an array value is a separate key (multikey). An empty array
+   * indexed by `undefined` key, like a missing field. For compound
+   * index only one of the fields can be an array.
+   * @param  {Object} doc
+   * @return {Array}
+   */
+  _getKeys(doc) {
+    let arrayFields = 0;
+    const fieldsValues = _map(this._lookups, (lookup) => {
+      const values = [];
+      const branches = lookup(doc);
+      let isMultikey = branches.length > 1;
+      _each(branches, (branch) => {
+        if (isArray(branch.value) && !branch.dontIterate) {
+          isMultikey = true;
+          if (branch.value.length === 0) {
+            values.push(undefined);
+          }
+          _each(branch.value, x => values.push(x));
+        } else {
+          values.push(branch.value);
+        }
+      });
+      if (isMultikey) {
+        arrayFields += 1;
+      }
+      return values.length ? values : [undefined];
+    });
+
+    if (arrayFields > 1) {
+      throw new Error(
+        'CollectionIndex.insert(...): cannot index parallel arrays ' +
+        `of the index "${this.name}"`
+      );
+    }
+
+    let keys = [];
+    if (this.compound) {
+      keys = [[]];
+      _each(fieldsValues, (values) => {
+        const nextKeys = [];
+        _each(keys, (prefix) => {
+          _each(values, (value) => {
+            nextKeys.push(prefix.concat([normalizeKey(value)]));
+          });
+        });
+        keys = nextKeys;
+      });
+    } else {
+      keys = fieldsValues[0];
+    }
+
+    return {
+      multikey: arrayFields > 0,
+      keys: uniqueKeys(keys, this._tree.compareKeys),
+    };
   }
 }
 
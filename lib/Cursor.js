@@ -5,10 +5,12 @@ import _map from 'fast.js/map';
 import AsyncEventEmitter from './AsyncEventEmitter';
 import invariant from 'invariant';
 import DocumentRetriver from './DocumentRetriver';
+import QueryPlanner from './QueryPlanner';
 import DocumentMatcher from './DocumentMatcher';
 import DocumentSorter from './DocumentSorter';
 import DocumentProjector from './DocumentProjector';
 import EJSON from './EJSON';
+import {makeCollation} from './Collation';
 
 
 // UUID counter for all cursors
@@ -52,6 +54,7 @@ export class Cursor extends BasicCursor {
     this._latestResult = null;
     this._childrenCursors = {};
     this._parentCursors = {};
+    this._collation = makeCollation(options.collation);
     this._ensureMatcherSorter();
   }
 
@@ -101,6 +104,41 @@ export class Cursor extends BasicCursor {
     return this;
   }
 
+  /**
+   * Force the cursor to use an index with given name
+   * or to do a full scan with `{$natural: 1}`. Execution
+   * rejected if there is no index with the name.
+   * Call without arguments to remove the hint.
+   * @param  {String|Object} hint
+   * @return {Cursor}
+   */
+  hint(hint) {
+    invariant(
+      hint === undefined || hint === null || typeof hint === 'string' ||
+      (typeof hint === 'object' && hint.$natural === 1),
+      'hint(...): argument must be an index name or {$natural: 1}'
+    );
+
+    this._hint = hint || undefined;
+    return this;
+  }
+
+  /**
+   * Set a collation (see Collation) for comparing strings
+   * in the query and in the sorting, like
+   * `{locale: 'en', strength: 2}`. Indexes used only with
+   * the same collation. Also could be set by `collation`
+   * option of the cursor. Call without arguments to
+   * compare strings as is.
+   * @param  {Object} collation
+   * @return {Cursor}
+   */
+  collation(collation) {
+    this._collation = makeCollation(collation);
+    this._ensureMatcherSorter();
+    return this;
+  }
+
   exec() {
     this.emit('beforeExecute');
     return this._createCursorPromise(
@@ -115,6 +153,46 @@ export class Cursor extends BasicCursor {
     return this.exec().then(resolve, reject);
   }
 
+  /**
+   * Execute the cursor and return a promise resolved
+   * with a description of the execution. It contains:
+   *   - `strategy` – `ids` (fast path by `_id`), `index`,
+   *     `fullScan` or `covered` (answered only by indexes)
+   *   - `index` – name of the used index or null
+   *   - `hint` – the hint of the cursor or null
+   *   - `sortIndex` – name of the index used for sorting or null
+   *   - `inMemorySort` – true if documents sorted by DocumentSorter
+   *   - `keysExamined` – number of ids taken from indexes
+   *   - `docsExamined` – number of documents matched by the query
+   *   - `docsReturned` – number of documents after skip and limit
+   *   - `pipeline` – list of `{type, time}` for each processor
+   *   - `executionTime` – total time of the execution in ms
+   * Execution by `explain` does not change latest result
+   * of the cursor (and `coveredByIndex`) and does not emit
+   * any events. Pipeline functions (and joins) executed
+   * like in `exec`, so their side effects still happen.
+   * @return {Promise}
+   */
+  explain() {
+    const stats = {
+      strategy: null,
+      index: null,
+      hint: this._hint || null,
+      sortIndex: null,
+      inMemorySort: false,
+      keysExamined: 0,
+      docsExamined: 0,
+      docsReturned: 0,
+      pipeline: [],
+      executionTime: 0,
+    };
+    const startTime = Date.now();
+    return this._doExecute(stats).then(() => {
+      stats.executionTime = Date.now() - startTime;
+      return stats;
+    });
+  }
+
   _addPipeline(type, val, ...args) {
     invariant(
       type && PIPELINE_PROCESSORS[type],
@@ -130,27 +208,35 @@ export class Cursor extends BasicCursor {
     return this;
   }
 
-  _processPipeline(docs, i = 0) {
+  _processPipeline(docs, i = 0, stats) {
     const pipeObj = this._pipeline[i];
     if (!pipeObj) {
       return Promise.resolve(docs);
     } else {
+      const startTime = Date.now();
       return Promise.resolve(
         PIPELINE_PROCESSORS[pipeObj.type].process(
           docs, pipeObj, this
         )
       ).then((result) => {
+        if (stats) {
+          stats.pipeline.push({
+            type: pipeObj.type,
+            time: Date.now() - startTime,
+          });
+        }
         if (result === '___[STOP]___') {
           return result;
         } else {
-          return this._processPipeline(result, i + 1);
+          return this._processPipeline(result, i + 1, stats);
         }
       });
     }
   }
 
-  _doExecute() {
-    return this._matchObjects()
+  _doExecute(stats) {
+    const textScores = new Map();
+    return this._matchObjects(stats, textScores)
       .then(docs => {
         let clonned;
         if (this.options.noClone) {
@@ -159,46 +245,149 @@ export class Cursor extends BasicCursor {
           if (!this._projector) {
             clonned = _map(docs, doc => EJSON.clone(doc));
           } else {
-            clonned = this._projector.project(docs);
+            clonned = this._projector.project(docs, { textScores });
           }
         }
-        return this._processPipeline(clonned);
+        return this._processPipeline(clonned, 0, stats);
       });
   }
 
-  _matchObjects() {
-    const withFastLimit = this._limit && !this._skip && !this._sorter;
-    const retrOpts = withFastLimit ? { limit: this._limit } : {};
+  /**
+   * True if the latest execution of the cursor with
+   * `idsOnly` option was answered only by indexes
+   * @return {Boolean}
+   */
+  get coveredByIndex() {
+    return !!this._coveredByIndex;
+  }
+
+  _matchObjects(stats, textScores = new Map()) {
+    // Hinted index should be fully built before using
+    const hintedIndex = typeof this._hint === 'string' &&
+      this.db.indexes && this.db.indexes[this._hint];
+    if (hintedIndex && hintedIndex.buildPromise) {
+      return hintedIndex.buildPromise.then(() =>
+        this._matchObjects(stats, textScores)
+      );
+    }
+
+    // Text query matched by fields of the current text index
+    if (this._matcher.hasTextQuery) {
+      const textIndex = new QueryPlanner(this.db).getTextIndex();
+      if (textIndex && textIndex.buildPromise) {
+        return textIndex.buildPromise.then(() =>
+          this._matchObjects(stats, textScores)
+        );
+      }
+      if (textIndex && textIndex !== this._matcher.textIndex) {
+        this._ensureMatcherSorter(textIndex);
+      }
+    }
+
+    const skip = this._skip || 0;
+    const explain = (plan, inMemorySort, docs) => {
+      if (stats) {
+        stats.strategy = plan.type;
+        stats.index = plan.index || null;
+        stats.sortIndex = plan.sortIndex || null;
+        stats.inMemorySort = inMemorySort;
+        stats.keysExamined = plan.ids ? plan.ids.length : 0;
+        stats.docsReturned = docs.length;
+      }
+      return docs;
+    };
+
+    // With `idsOnly` option only `_id` fields of documents
+    // required, so documents not retrived from the storage
+    // when the query could be answered by indexes.
+    // Execution by `explain` (with stats) does not change it
+    const setCovered = (covered) => {
+      if (!stats) {
+        this._coveredByIndex = covered;
+      }
+    };
+    setCovered(false);
+    if (this.options.idsOnly && !this._sorter && !this._hint) {
+      const coveredIds = new QueryPlanner(this.db).getCoveredIds(this._query, {
+        collation: this._collation,
+      });
+      if (coveredIds) {
+        const limit = this._limit || coveredIds.length;
+        setCovered(true);
+        return Promise.resolve(explain(
+          { type: 'covered', ids: coveredIds }, false,
+          _map(coveredIds.slice(skip, limit + skip), id => ({ _id: id }))
+        ));
+      }
+    }
+
+    let plan;
+    try {
+      plan = new QueryPlanner(this.db).plan(this._query, {
+        sort: this._sorter ? this._sorter.getSpecParts() : null,
+        limit: this._limit && this._limit + skip,
+        hint: this._hint,
+        collation: this._collation,
+      });
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    // Documents retrived in required order when there is no
+    // sorting or when ids of the plan is ordered by an index
+    // (by distance for `$near` query without sorting)
+    const inOrder = !this._sorter || !!plan.sortIndex || (
+      !!plan.sortedByDistance && !this._sorter.getSpecParts().length
+    );
+    const withFastLimit = this._limit && inOrder;
+    const retrOpts = withFastLimit ? { limit: this._limit + skip } : {};
+    const distances = new Map();
     const queryFilter = (doc) => {
-      return doc && this._matcher.documentMatches(doc).result;
+      if (!doc) {
+        return false;
+      }
+      if (stats) {
+        stats.docsExamined += 1;
+      }
+      const match = this._matcher.documentMatches(doc);
+      if (match.result && match.textScore !== undefined) {
+        textScores.set(doc._id, match.textScore);
+      }
+      if (match.result && match.distance !== undefined) {
+        distances.set(doc._id, match.distance);
+      }
+      return match.result;
     };
 
     return new DocumentRetriver(this.db)
-      .retriveForQeury(this._query, queryFilter, retrOpts)
+      .retriveForPlan(plan, queryFilter, retrOpts)
       .then((results) => {
-        if (withFastLimit) {
-          return results;
-        }
-
-        if (this._sorter) {
-          const comparator = this._sorter.getComparator();
+        if (!inOrder) {
+          const comparator = this._sorter.getComparator({
+            textScores,
+            distances: this._matcher.hasGeoQuery ? distances : null,
+          });
           results.sort(comparator);
         }
 
-        const skip = this._skip || 0;
         const limit = this._limit || results.length;
-        return results.slice(skip, limit + skip);
+        return explain(plan, !inOrder, results.slice(skip, limit + skip));
       }
     );
   }
 
-  _ensureMatcherSorter() {
+  _ensureMatcherSorter(textIndex) {
     this._sorter = undefined;
-    this._matcher = new DocumentMatcher(this._query || {});
+    this._matcher = new DocumentMatcher(this._query || {}, {
+      textIndex,
+      collation: this._collation,
+    });
 
     if (this._matcher.hasGeoQuery || this._sort) {
-      this._sorter = new DocumentSorter(
-        this._sort || [], { matcher: this._matcher });
+      this._sorter = new DocumentSorter(this._sort || [], {
+        matcher: this._matcher,
+        collation: this._collation,
+      });
     }
   }
 
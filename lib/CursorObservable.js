@@ -2,6 +2,8 @@ import _bind from 'fast.js/function/bind';
 import _check from 'check-types';
 import _values from 'fast.js/object/values';
 import _map from 'fast.js/map';
+import _some from 'fast.js/array/some';
+import _every from 'fast.js/array/every';
 import Cursor from './Cursor';
 import EJSON from './EJSON';
 import PromiseQueue from './PromiseQueue';
@@ -20,6 +22,7 @@ export class CursorObservable extends Cursor {
   constructor(db, query, options) {
     super(db, query, options);
     this.maybeUpdate = _bind(this.maybeUpdate, this);
+    this.maybeUpdateMany = _bind(this.maybeUpdateMany, this);
     this._observers = 0;
     this._updateQueue = new PromiseQueue(1);
     this._propagateUpdate = debounce(_bind(this._propagateUpdate, this), 0, 0);
@@ -89,6 +92,8 @@ export class CursorObservable extends Cursor {
       this.db.on('insert', this.maybeUpdate);
       this.db.on('update', this.maybeUpdate);
       this.db.on('remove', this.maybeUpdate);
+      this.db.on('batch', this.maybeUpdateMany);
+      this.db.on('clear', this.maybeUpdate);
     }
 
     // Create observe stopper for current listeners
@@ -110,6 +115,8 @@ export class CursorObservable extends Cursor {
           self.db.removeListener('insert', self.maybeUpdate);
           self.db.removeListener('update', self.maybeUpdate);
           self.db.removeListener('remove', self.maybeUpdate);
+          self.db.removeListener('batch', self.maybeUpdateMany);
+          self.db.removeListener('clear', self.maybeUpdate);
         }
       }
     }
@@ -195,10 +202,30 @@ export class CursorObservable extends Cursor {
    * @param  {Object} oldDoc
    */
   maybeUpdate(newDoc, oldDoc) {
+    if (this._isResultChangedBy(newDoc, oldDoc)) {
+      return this.update();
+    }
+  }
+
+  /**
+   * Consider to update a query by a list of changes of some
+   * batch of writes (`batch` event of a collection). Each change
+   * is an object with `newDoc` and `oldDoc`, like arguments of
+   * `maybeUpdate`. The cursor updated at most once for the batch.
+   * @param  {Array} changes
+   */
+  maybeUpdateMany(changes) {
+    if (_some(changes, c => this._isResultChangedBy(c.newDoc, c.oldDoc))) {
+      return this.update();
+    }
+  }
+
+  _isResultChangedBy(newDoc, oldDoc) {
     // When no newDoc and no oldDoc provided then
     // it's a special case when no data about update
     // available and we always need to update a cursor
-    const alwaysUpdateCursor = newDoc === null && oldDoc === null;
+    // (`clear` event of a collection, for example)
+    const alwaysUpdateCursor = !newDoc && !oldDoc;
 
     // When it's remove operation we just check
     // that it's in our latest result ids list
@@ -223,9 +250,7 @@ export class CursorObservable extends Cursor {
       this._matcher.documentMatches(newDoc).result
     ));
 
-    if (insertedInResult) {
-      return this.update();
-    }
+    return !!insertedInResult;
   }
 
   /**
@@ -275,13 +300,17 @@ export class CursorObservable extends Cursor {
 
   /**
    * By a `_latestResult` update a `_latestIds` field of
-   * the object
+   * the object. When the result is not a document or a list
+   * of documents (aggregated to a number or a list of values,
+   * for example) ids can't be tracked and `_latestIds` is null,
+   * so any removed document updates the cursor.
    */
   _updateLatestIds() {
-    const idsArr = _check.array(this._latestResult)
-      ? _map(this._latestResult, x => x._id)
-      : this._latestResult && [this._latestResult._id];
-    this._latestIds = new Set(idsArr);
+    const result = this._latestResult;
+    const docs = _check.array(result) ? result : (result ? [result] : []);
+    this._latestIds = _every(docs, x => _check.object(x) && x._id !== undefined)
+      ? new Set(_map(docs, x => x._id))
+      : null;
   }
 
   /**
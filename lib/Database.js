@@ -0,0 +1,95 @@
+import _assign from 'fast.js/object/assign';
+import _keys from 'fast.js/object/keys';
+import _map from 'fast.js/map';
+import invariant from 'invariant';
+import Collection from './Collection';
+
+
+/**
+ * Group of named collections with its own configuration.
+ * Options of the database (`storageManager`, `cursorClass`,
+ * `delegate`, `indexManager`, `idGenerator` and any other
+ * options of a collection) used as defaults for all collections
+ * of the database instead of global defaults of Collection,
+ * so databases in one process could use different storages.
+ * Global defaults used for options not given to the database.
+ */
+export class Database {
+  constructor(options = {}) {
+    this.options = options;
+    this._collections = {};
+    this._closed = false;
+  }
+
+  /**
+   * Returns a collection with given name, created with
+   * options of the database (extended by given options) at
+   * the first call. A dropped collection is unregistered,
+   * so a new collection created for the name next time.
+   * @param  {String} name
+   * @param  {Object} options
+   * @return {Collection}
+   */
+  collection(name, options = {}) {
+    invariant(
+      !this._closed,
+      'collection(...): the database is closed'
+    );
+
+    if (!this._collections[name]) {
+      const collection = new Collection(name, _assign({}, this.options, options));
+      collection.once('drop', () => {
+        if (this._collections[name] === collection) {
+          delete this._collections[name];
+        }
+      });
+      this._collections[name] = collection;
+    }
+    return this._collections[name];
+  }
+
+  /**
+   * Returns names of all registered collections
+   * @return {Array}
+   */
+  listCollections() {
+    return _keys(this._collections);
+  }
+
+  /**
+   * Execute given function with a new transaction
+   * (see `Collection.transaction`)
+   * @param  {Function} fn
+   * @return {Promise}
+   */
+  transaction(fn) {
+    return Collection.transaction(fn);
+  }
+
+  /**
+   * Close all collections (see `Collection#close`) and unregister
+   * them. Collections can't be created after closing.
+   * @return {Promise}
+   */
+  close() {
+    const collections = this._collections;
+    this._collections = {};
+    this._closed = true;
+    return Promise.all(_map(_keys(collections), k =>
+      collections[k].close()
+    ));
+  }
+
+  /**
+   * Drop all registered collections (see `Collection#drop`)
+   * @return {Promise}
+   */
+  drop() {
+    const collections = this._collections;
+    return Promise.all(_map(_keys(collections), k =>
+      collections[k].drop()
+    ));
+  }
+}
+
+export default Database;
@@ -7,6 +7,8 @@ import _every from 'fast.js/array/every';
 import _indexOf from 'fast.js/array/indexOf';
 import GeoJSON from 'geojson-utils';
 import EJSON from './EJSON';
+import TextIndex from './TextIndex';
+import {makeCollation} from './Collation';
 import {selectorIsId, isArray, isPlainObject,
   isIndexable, isOperatorObject, isNumericKey,
   MongoTypeComp} from './Document';
@@ -19,7 +21,7 @@ import {selectorIsId, isArray, isPlainObject,
 //  - a 'matcher' is its compiled form (whether a full Minimongo.Matcher
 //    object or one of the component lambdas that matches parts of it)
 //  - a 'result object' is an object with a 'result' field and maybe
-//    distance and arrayIndices.
+//    distance, textScore and arrayIndices.
 //  - a 'branched value' is an object with a 'value' field and maybe
 //    'dontIterate' and 'arrayIndices'.
 //  - a 'document' is a top-level object that can be stored in a collection.
@@ -32,8 +34,14 @@ import {selectorIsId, isArray, isPlainObject,
 // Main entry point.
 //   var matcher = new Minimongo.Matcher({a: {$gt: 5}});
 //   if (matcher.documentMatches({a: 7})) ...
+//
+// With `options.textIndex` a `$text` operator matches documents
+// by fields of the text index, otherwise all string fields used.
+// With `options.collation` (see Collation) strings compared by
+// language-specific rules in equalities, `$in`, `$ne`, `$nin` and
+// inequalities.
 export class DocumentMatcher {
-  constructor(selector) {
+  constructor(selector, options = {}) {
     // A set (object mapping string -> *) of all of the document paths looked
     // at by the selector. Also includes the empty string if it may look at any
     // path (eg, $where).
@@ -42,6 +50,12 @@ export class DocumentMatcher {
     this._hasGeoQuery = false;
     // Set to true if compilation finds a $where.
     this._hasWhere = false;
+    // Set to true if compilation finds a $text.
+    this._hasTextQuery = false;
+    // TextIndex for scoring documents for $text.
+    this._textIndex = options.textIndex || null;
+    // Collation for comparing strings, or null for binary comparison.
+    this._collation = makeCollation(options.collation);
     // Set to false if compilation finds anything other than a simple equality or
     // one or more of '$gt', '$gte', '$lt', '$lte', '$ne', '$in', '$nin' used with
     // scalars as operands.
@@ -70,6 +84,15 @@ export class DocumentMatcher {
   get hasWhere() {
     return this._hasWhere;
   }
+  get hasTextQuery() {
+    return this._hasTextQuery;
+  }
+  get textIndex() {
+    return this._textIndex;
+  }
+  get collation() {
+    return this._collation;
+  }
   get isSimple() {
     return this._isSimple;
   }
@@ -183,7 +206,7 @@ var compileValueSelector = function(valueSelector, matcher, isRoot) {
     return operatorBranchedMatcher(valueSelector, matcher, isRoot);
   } else {
     return convertElementMatcherToBranchedMatcher(
-      equalityElementMatcher(valueSelector));
+      equalityElementMatcher(valueSelector, matcher._collation));
   }
 };
 
@@ -251,8 +274,8 @@ export function regexpElementMatcher(regexp) {
 }
 
 // Takes something that is not an operator object and returns an element matcher
-// for equality with that thing.
-export function equalityElementMatcher(elementSelector) {
+// for equality with that thing. Strings compared by the collation if given.
+export function equalityElementMatcher(elementSelector, collation) {
   if (isOperatorObject(elementSelector)) {
     throw Error('Can\'t create equalityValueSelector for operator object');
   }
@@ -266,6 +289,12 @@ export function equalityElementMatcher(elementSelector) {
     };
   }
 
+  if (collation) {
+    return function(value) {
+      return collation.equals(elementSelector, value);
+    };
+  }
+
   return function(value) {
     return MongoTypeComp._equal(elementSelector, value);
   };
@@ -381,6 +410,34 @@ var LOGICAL_OPERATORS = {
     };
   },
 
+  // Full-text search. Matches documents containing some term of $search
+  // string (all phrases in double quotes and no terms prefixed with '-'),
+  // and adds relevance score of the document as 'textScore' to the result.
+  $text: function(operand, matcher, inElemMatch) {
+    if (inElemMatch) {
+      throw Error('$text is not allowed in $elemMatch');
+    }
+    if (!isPlainObject(operand) || typeof operand.$search !== 'string') {
+      throw Error('$text needs a $search string');
+    }
+    if (operand.$caseSensitive || operand.$diacriticSensitive) {
+      throw Error('$text supports only case and diacritic insensitive search');
+    }
+
+    // Record that *any* path may be used.
+    matcher._recordPathUsed('');
+    matcher._hasTextQuery = true;
+    var textIndex = matcher._textIndex ||
+      new TextIndex({fieldName: '$**'});
+    var search = textIndex.parseSearch(operand.$search);
+    return function(doc) {
+      var textScore = textIndex.scoreDocument(doc, search);
+      return textScore > 0
+        ? {result: true, textScore: textScore}
+        : {result: false};
+    };
+  },
+
   // This is just used as a comment in the query (in MongoDB, it also ends up in
   // query logs); it has no effect on the actual selection.
   $comment: function() {
@@ -411,13 +468,14 @@ var VALUE_OPERATORS = {
   $not: function(operand, valueSelector, matcher) {
     return invertBranchedMatcher(compileValueSelector(operand, matcher));
   },
-  $ne: function(operand) {
+  $ne: function(operand, valueSelector, matcher) {
     return invertBranchedMatcher(convertElementMatcherToBranchedMatcher(
-      equalityElementMatcher(operand)));
+      equalityElementMatcher(operand, matcher._collation)));
   },
-  $nin: function(operand) {
+  $nin: function(operand, valueSelector, matcher) {
     return invertBranchedMatcher(convertElementMatcherToBranchedMatcher(
-      ELEMENT_OPERATORS.$in.compileElementSelector(operand)));
+      ELEMENT_OPERATORS.$in.compileElementSelector(
+        operand, valueSelector, matcher)));
   },
   $exists: function(operand) {
     var exists = convertElementMatcherToBranchedMatcher(function(value) {
@@ -557,13 +615,15 @@ var distanceCoordinatePairs = function(a, b) {
 // the second one to y no matter what user passes.
 // In case user passes { lon: x, lat: y } returns [x, y]
 var pointToArray = function(point) {
-  return _map(point, x => x);
+  return isArray(point)
+    ? _map(point, x => x)
+    : _map(_keys(point), k => point[k]);
 };
 
 // Helper for $lt/$gt/$lte/$gte.
 var makeInequality = function(cmpValueComparator) {
   return {
-    compileElementSelector: function(operand) {
+    compileElementSelector: function(operand, valueSelector, matcher) {
       // Arrays never compare false with non-arrays for any inequality.
       // XXX This was behavior we observed in pre-release MongoDB 2.5, but
       //     it seems to have been reverted.
@@ -581,6 +641,10 @@ var makeInequality = function(cmpValueComparator) {
       }
 
       var operandType = MongoTypeComp._type(operand);
+      var collation = matcher && matcher._collation;
+      var compare = collation
+        ? (a, b) => collation.compare(a, b)
+        : MongoTypeComp._cmp;
 
       return function(value) {
         if (value === undefined) {
@@ -591,7 +655,7 @@ var makeInequality = function(cmpValueComparator) {
         if (MongoTypeComp._type(value) !== operandType) {
           return false;
         }
-        return cmpValueComparator(MongoTypeComp._cmp(value, operand));
+        return cmpValueComparator(compare(value, operand));
       };
     },
   };
@@ -638,7 +702,7 @@ export var ELEMENT_OPERATORS = {
     },
   },
   $in: {
-    compileElementSelector: function(operand) {
+    compileElementSelector: function(operand, valueSelector, matcher) {
       if (!isArray(operand)) {
         throw Error('$in needs an array');
       }
@@ -650,7 +714,8 @@ export var ELEMENT_OPERATORS = {
         } else if (isOperatorObject(option)) {
           throw Error('cannot nest $ under $in');
         } else {
-          elementMatchers.push(equalityElementMatcher(option));
+          elementMatchers.push(equalityElementMatcher(
+            option, matcher && matcher._collation));
         }
       });
 
@@ -1010,6 +1075,11 @@ var andSomeMatchers = function(subMatchers) {
           && ret.distance === undefined) {
         ret.distance = subResult.distance;
       }
+      // The same for a relevance score of $text.
+      if (subResult.result && subResult.textScore !== undefined
+          && ret.textScore === undefined) {
+        ret.textScore = subResult.textScore;
+      }
       // Similarly, propagate arrayIndices from sub-matchers... but to match
       // MongoDB behavior, this time the *last* sub-matcher with arrayIndices
       // wins.
@@ -1022,6 +1092,7 @@ var andSomeMatchers = function(subMatchers) {
     // If we didn't actually match, forget any extra metadata we came up with.
     if (!ret.result) {
       delete ret.distance;
+      delete ret.textScore;
       delete ret.arrayIndices;
     }
     return ret;
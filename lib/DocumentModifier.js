@@ -11,9 +11,11 @@ import {isPlainObject, isIndexable, isOperatorObject,
 
 
 export class DocumentModifier {
-  constructor(query = {}) {
+  constructor(query = {}, options = {}) {
     this._query = query;
-    this._matcher = new DocumentMatcher(query);
+    this._matcher = new DocumentMatcher(query, {
+      textIndex: options.textIndex,
+    });
   }
 
   modify(docs, mod = {}, options = {}) {
@@ -34,10 +36,11 @@ export class DocumentModifier {
       }
     });
 
-    // Upsert update
+    // Upsert update. Id of a new document taken from the query,
+    // or `options.upsertId` used (random id by default)
     if (!newResults.length && options.upsert) {
       let newDoc = documentBySelector(this._query);
-      newDoc._id = newDoc._id || Random.default().id(17);
+      newDoc._id = newDoc._id || options.upsertId || Random.default().id(17);
       newDoc = this._modifyDocument(newDoc, mod, {isInsert: true});
       newResults.push(newDoc);
       oldResults.push(null);
@@ -18,20 +18,54 @@ function _has(obj, key) {
 
 /**
  * A wrapper around pojection functions.
+ * Fields like `{score: {$meta: 'textScore'}}` adds relevance
+ * score of `$text` query to a document. Scores should be given
+ * in `options.textScores` Map (by id of a document) to `project`.
  */
 export default class DocumentProjector {
   constructor(fields) {
     this.fields = fields;
-    this._projector = compileProjection(fields);
+    this._metaFields = {};
+
+    let plainFields = fields;
+    if (_check.object(fields) && !_check.array(fields)) {
+      plainFields = {};
+      _each(fields, (val, key) => {
+        if (_check.object(val) && val.$meta !== undefined) {
+          if (val.$meta !== 'textScore') {
+            throw Error('Unsupported $meta projection: ' + val.$meta);
+          }
+          this._metaFields[key] = val.$meta;
+        } else {
+          plainFields[key] = val;
+        }
+      });
+    }
+
+    // Projection only with $meta fields keeps all fields
+    const onlyMeta = _keys(this._metaFields).length > 0 &&
+      _keys(plainFields).length === 0;
+    this._projector = onlyMeta
+      ? (doc) => EJSON.clone(doc)
+      : compileProjection(plainFields);
   }
 
-  project(docs) {
+  project(docs, options = {}) {
     if (_check.array(docs)) {
-      return _map(docs, (doc) => this._projector(doc));
+      return _map(docs, (doc) => this._projectDocument(doc, options));
     } else {
-      return this._projector(docs);
+      return this._projectDocument(docs, options);
     }
   }
+
+  _projectDocument(doc, options) {
+    const res = this._projector(doc);
+    _each(this._metaFields, (meta, key) => {
+      const scores = options.textScores;
+      res[key] = (scores && scores.get(doc._id)) || 0;
+    });
+    return res;
+  }
 }
 
 
@@ -1,7 +1,6 @@
-import _check from 'check-types';
 import _map from 'fast.js/map';
 import _filter from 'fast.js/array/filter';
-import {selectorIsId, selectorIsIdPerhapsAsObject} from './Document';
+import QueryPlanner from './QueryPlanner';
 
 
 // Internals
@@ -21,37 +20,30 @@ export class DocumentRetriver {
 
   /**
    * Retrive an optimal superset of documents
-   * by given query based on _id field of the query
-   *
-   * TODO: there is a place for indexes
+   * by given query. It uses ids from the query or
+   * indexes chosen by QueryPlanner, and scans
+   * all documents if no index could be used.
    *
    * @param  {Object} query
    * @return {Promise}
    */
   retriveForQeury(query, queryFilter = DEFAULT_QUERY_FILTER, options = {}) {
-    // Try to get list of ids
-    let selectorIds;
-    if (selectorIsId(query)) {
-      // fast path for scalar query
-      selectorIds = [query];
-    } else if (selectorIsIdPerhapsAsObject(query)) {
-      // also do the fast path for { _id: idString }
-      selectorIds = [query._id];
-    } else if (
-      _check.object(query) && query.hasOwnProperty('_id') &&
-      _check.object(query._id) && query._id.hasOwnProperty('$in') &&
-      _check.array(query._id.$in)
-    ) {
-      // and finally fast path for multiple ids
-      // selected by $in operator
-      selectorIds = query._id.$in;
-    }
+    const plan = new QueryPlanner(this.db).plan(query);
+    return this.retriveForPlan(plan, queryFilter, options);
+  }
 
-    // Retrive optimally
-    if (_check.array(selectorIds) && selectorIds.length > 0) {
-      return this.retriveIds(queryFilter, selectorIds, options);
-    } else {
+  /**
+   * Retrive documents by given plan made by QueryPlanner.
+   * Documents retrived in order of ids of the plan.
+   *
+   * @param  {Object} plan
+   * @return {Promise}
+   */
+  retriveForPlan(plan, queryFilter = DEFAULT_QUERY_FILTER, options = {}) {
+    if (plan.type === 'fullScan') {
       return this.retriveAll(queryFilter, options);
+    } else {
+      return this.retriveIds(queryFilter, plan.ids, options);
     }
   }
 
@@ -97,25 +89,40 @@ export class DocumentRetriver {
    * @return {Promise}
    */
   retriveIds(queryFilter = DEFAULT_QUERY_FILTER, ids = [], options = {}) {
-    const uniqIds = _filter(ids, (id, i) => ids.indexOf(id) === i);
-    const retrPromises = _map(uniqIds, id => this.retriveOne(id));
+    const seenIds = new Set();
+    const uniqIds = _filter(ids, (id) => {
+      const seen = seenIds.has(id);
+      seenIds.add(id);
+      return !seen;
+    });
     const limit = options.limit || +Infinity;
+    const result = [];
 
-    return Promise.all(retrPromises).then((res) => {
-      const filteredRes = [];
+    // With a limit documents retrived by batches, so
+    // only required number of documents loaded when
+    // all of them satisfies the filter
+    const retriveBatch = (offset) => {
+      if (offset >= uniqIds.length || result.length >= limit) {
+        return Promise.resolve(result);
+      }
 
-      for (let i = 0; i < res.length; i++) {
-        const doc = res[i];
-        if (doc && queryFilter(doc)) {
-          filteredRes.push(doc);
-          if (filteredRes.length === limit) {
-            break;
+      const batchIds = uniqIds.slice(offset, offset + limit - result.length);
+      const retrPromises = _map(batchIds, id => this.retriveOne(id));
+      return Promise.all(retrPromises).then((res) => {
+        for (let i = 0; i < res.length; i++) {
+          const doc = res[i];
+          if (doc && queryFilter(doc)) {
+            result.push(doc);
+            if (result.length === limit) {
+              break;
+            }
           }
         }
-      }
+        return retriveBatch(offset + batchIds.length);
+      });
+    };
 
-      return filteredRes;
-    });
+    return retriveBatch(0);
   }
 
   /**
@@ -9,6 +9,13 @@ import {isOperatorObject, MongoTypeComp} from './Document';
 import {makeLookupFunction, expandArraysInBranches,
   equalityElementMatcher, regexpElementMatcher,
   ELEMENT_OPERATORS} from './DocumentMatcher';
+import {makeCollation} from './Collation';
+
+
+// Internals
+function isMetaSort(value) {
+  return _check.object(value) && value.$meta !== undefined;
+}
 
 
 // Give a sort spec, which can be in any of these forms:
@@ -23,10 +30,18 @@ import {makeLookupFunction, expandArraysInBranches,
 // return a function that takes two objects, and returns -1 if the
 // first object comes first in order, 1 if the second object comes
 // first, or 0 if neither object comes before the other.
+//
+// A key may be sorted by relevance score of $text query with
+// {'key': {$meta: 'textScore'}} (descending). Scores should be passed
+// to getComparator as a Map from document id to score.
+//
+// With `options.collation` (see Collation) strings compared by
+// language-specific rules.
 
 export class DocumentSorter {
   constructor(spec, options = {}) {
     this._sortSpecParts = [];
+    this._collation = makeCollation(options.collation);
 
     var addSpecPart = (path, ascending) => {
       if (!path) {
@@ -42,17 +57,38 @@ export class DocumentSorter {
       });
     };
 
+    var addMetaSpecPart = (path, meta) => {
+      if (meta !== 'textScore') {
+        throw Error('unsupported $meta sort: ' + meta);
+      }
+      this._sortSpecParts.push({
+        path: path,
+        meta: meta,
+        lookup: function(doc, lookupOptions) {
+          var scores = lookupOptions && lookupOptions.textScores;
+          return [{value: (scores && scores.get(doc._id)) || 0}];
+        },
+        ascending: false,
+      });
+    };
+
     if (spec instanceof Array) {
       for (var i = 0; i < spec.length; i++) {
         if (typeof spec[i] === 'string') {
           addSpecPart(spec[i], true);
+        } else if (isMetaSort(spec[i][1])) {
+          addMetaSpecPart(spec[i][0], spec[i][1].$meta);
         } else {
           addSpecPart(spec[i][0], spec[i][1] !== 'desc');
         }
       }
     } else if (typeof spec === 'object') {
       _each(spec, function(value, key) {
-        addSpecPart(key, value >= 0);
+        if (isMetaSort(value)) {
+          addMetaSpecPart(key, value.$meta);
+        } else {
+          addSpecPart(key, value >= 0);
+        }
       });
     } else {
       throw Error('Bad sort specification: ' + JSON.stringify(spec));
@@ -87,14 +123,14 @@ export class DocumentSorter {
     // If we have no distances, just use the comparator from the source
     // specification (which defaults to 'everything is equal'.
     if (!options || !options.distances) {
-      return this._getBaseComparator();
+      return this._getBaseComparator(options);
     }
 
     var distances = options.distances;
 
     // Return a comparator which first tries the sort specification, and if that
     // says 'it's equal', breaks ties using $near distances.
-    return composeComparators([this._getBaseComparator(), function(a, b) {
+    return composeComparators([this._getBaseComparator(options), function(a, b) {
       if (!distances.has(a._id)) {
         throw Error('Missing distance for ' + a._id);
       }
@@ -105,6 +141,24 @@ export class DocumentSorter {
     }]);
   }
 
+  get collation() {
+    return this._collation;
+  }
+
+  // Returns a list of `{path, ascending}` objects, one for each
+  // field of the sort specification. Parts sorted by $meta also
+  // have a 'meta' field.
+  getSpecParts() {
+    return _map(this._sortSpecParts, x => (x.meta ? {
+      path: x.path,
+      ascending: x.ascending,
+      meta: x.meta,
+    } : {
+      path: x.path,
+      ascending: x.ascending,
+    }));
+  }
+
   _getPaths() {
     return _map(this._sortSpecParts, x => x.path);
   }
@@ -119,7 +173,7 @@ export class DocumentSorter {
   // you can find along the same paths'.  ie, for a doc {a: [{x: 0, y: 5}, {x:
   // 1, y: 3}]} with sort spec {'a.x': 1, 'a.y': 1}, the only keys are [0,5] and
   // [1,3], and the minimum key is [0,5]; notably, [0,3] is NOT a key.
-  _getMinKeyFromDoc(doc) {
+  _getMinKeyFromDoc(doc, options) {
     var minKey = null;
 
     this._generateKeysFromDoc(doc, (key) => {
@@ -134,7 +188,7 @@ export class DocumentSorter {
       if (this._compareKeys(key, minKey) < 0) {
         minKey = key;
       }
-    });
+    }, options);
 
     // This could happen if our key filter somehow filters out all the keys even
     // though somehow the selector matches.
@@ -150,7 +204,7 @@ export class DocumentSorter {
 
   // Iterates over each possible 'key' from doc (ie, over each branch), calling
   // 'cb' with the key.
-  _generateKeysFromDoc(doc, cb) {
+  _generateKeysFromDoc(doc, cb, options) {
     if (this._sortSpecParts.length === 0) {
       throw new Error('can\'t generate keys without a spec');
     }
@@ -167,7 +221,7 @@ export class DocumentSorter {
     _each(this._sortSpecParts, function(spec, whichField) {
       // Expand any leaf arrays that we find, and ignore those arrays
       // themselves.  (We never sort based on an array itself.)
-      var branches = expandArraysInBranches(spec.lookup(doc), true);
+      var branches = expandArraysInBranches(spec.lookup(doc, options), true);
 
       // If there are no values for a key (eg, key goes to an empty array),
       // pretend we found one null value.
@@ -268,8 +322,11 @@ export class DocumentSorter {
   // on field 'i'.
   _keyFieldComparator(i) {
     var invert = !this._sortSpecParts[i].ascending;
+    var collation = this._collation;
     return function(key1, key2) {
-      var compare = MongoTypeComp._cmp(key1[i], key2[i]);
+      var compare = collation
+        ? collation.compare(key1[i], key2[i])
+        : MongoTypeComp._cmp(key1[i], key2[i]);
       if (invert) {
         compare = -compare;
       }
@@ -279,7 +336,7 @@ export class DocumentSorter {
 
   // Returns a comparator that represents the sort specification (but not
   // including a possible geoquery distance tie-breaker).
-  _getBaseComparator() {
+  _getBaseComparator(options) {
     // If we're only sorting on geoquery distance and no specs, just say
     // everything is equal.
     if (!this._sortSpecParts.length) {
@@ -289,8 +346,8 @@ export class DocumentSorter {
     }
 
     return (doc1, doc2) => {
-      var key1 = this._getMinKeyFromDoc(doc1);
-      var key2 = this._getMinKeyFromDoc(doc2);
+      var key1 = this._getMinKeyFromDoc(doc1, options);
+      var key2 = this._getMinKeyFromDoc(doc2, options);
       return this._compareKeys(key1, key2);
     };
   }
@@ -334,9 +391,12 @@ export class DocumentSorter {
       return;
     }
 
+    // Parts sorted by $meta does not depend on the document
     var constraintsByPath = {};
     _each(this._sortSpecParts, function(spec, i) {
-      constraintsByPath[spec.path] = [];
+      if (!spec.meta) {
+        constraintsByPath[spec.path] = [];
+      }
     });
 
     _each(selector, function(subSelector, key) {
@@ -369,9 +429,11 @@ export class DocumentSorter {
         _each(subSelector, function(operand, operator) {
           if (_indexOf(['$lt', '$lte', '$gt', '$gte'], operator) >= 0) {
             // XXX this depends on us knowing that these operators don't use any
-            // of the arguments to compileElementSelector other than operand.
+            // of the arguments to compileElementSelector other than operand
+            // and the collation of the matcher.
             constraints.push(
-              ELEMENT_OPERATORS[operator].compileElementSelector(operand));
+              ELEMENT_OPERATORS[operator].compileElementSelector(
+                operand, subSelector, matcher));
           }
 
           // See comments in the RegExp block above.
@@ -387,21 +449,25 @@ export class DocumentSorter {
       }
 
       // OK, it's an equality thing.
-      constraints.push(equalityElementMatcher(subSelector));
+      constraints.push(equalityElementMatcher(subSelector, matcher.collation));
     });
 
     // It appears that the first sort field is treated differently from the
     // others; we shouldn't create a key filter unless the first sort field is
     // restricted, though after that point we can restrict the other sort fields
     // or not as we wish.
-    const currConstraint = constraintsByPath[this._sortSpecParts[0].path];
-    if (!_check.assigned(currConstraint) || _check.emptyArray(currConstraint)) {
+    const firstPart = this._sortSpecParts[0];
+    const currConstraint = constraintsByPath[firstPart.path];
+    if (
+      firstPart.meta || !_check.assigned(currConstraint) ||
+      _check.emptyArray(currConstraint)
+    ) {
       return;
     }
 
     this._keyFilter = function(key) {
       return _every(this._sortSpecParts, function(specPart, index) {
-        return _every(constraintsByPath[specPart.path], function(f) {
+        return specPart.meta || _every(constraintsByPath[specPart.path], function(f) {
           return f(key[index]);
         });
       });
@@ -0,0 +1,19 @@
+import ExtendableError from './ExtendableError';
+import EJSON from './EJSON';
+
+
+/**
+ * Error rised when a document violates a unique
+ * constraint of some index
+ */
+export default class DuplicateKeyError extends ExtendableError {
+  constructor(indexName, key) {
+    super(
+      `Duplicate key error: index "${indexName}" ` +
+      `already contains key ${EJSON.stringify(key === undefined ? null : key)}`
+    );
+    this.name = 'DuplicateKeyError';
+    this.index = indexName;
+    this.key = key;
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * Base class for errors of the database. Babel can't
+ * properly extend built-in classes (`instanceof` does not work),
+ * so it is a function with a prototype inherited from Error.
+ * Extend it with regular ES6 class syntax.
+ * @param {String} message
+ */
+export default function ExtendableError(message) {
+  this.name = 'ExtendableError';
+  this.message = message;
+  if (typeof Error.captureStackTrace === 'function') {
+    Error.captureStackTrace(this, this.constructor);
+  } else {
+    this.stack = (new Error(message)).stack;
+  }
+}
+
+ExtendableError.prototype = Object.create(Error.prototype);
+ExtendableError.prototype.constructor = ExtendableError;
@@ -0,0 +1,446 @@
+import _check from 'check-types';
+import _each from 'fast.js/forEach';
+import _filter from 'fast.js/array/filter';
+import _keys from 'fast.js/object/keys';
+import _map from 'fast.js/map';
+import invariant from 'invariant';
+import GeoJSON from 'geojson-utils';
+import {isArray, isPlainObject} from './Document';
+import {makeLookupFunction, expandArraysInBranches} from './DocumentMatcher';
+
+
+// Internals
+const GEO_INDEX_TYPES = ['2d', '2dsphere'];
+const EARTH_RADIUS = 6371000;
+const DEFAULT_BUCKET_SIZE = 1;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Coordinate pair from an array or an object (first two
+// values), like in DocumentMatcher, or null
+function getCoordinatePair(value) {
+  if (!isArray(value) && !isPlainObject(value)) {
+    return null;
+  }
+  const pair = isArray(value) ? value : _map(_keys(value), k => value[k]);
+  return _check.number(pair[0]) && _check.number(pair[1])
+    ? [pair[0], pair[1]] : null;
+}
+
+function sphereDistance(a, b) {
+  return GeoJSON.pointDistance(
+    { type: 'Point', coordinates: a },
+    { type: 'Point', coordinates: b }
+  );
+}
+
+function isGeoJSONPoint(value) {
+  return isPlainObject(value) && value.type === 'Point' &&
+    !!getCoordinatePair(value.coordinates);
+}
+
+// Add a value to a max-heap (array) which keeps at most `size`
+// smallest values, so the top of a full heap is the k-th value
+function pushBounded(heap, value, size) {
+  let i;
+  if (heap.length < size) {
+    heap.push(value);
+    i = heap.length - 1;
+    while (i > 0 && heap[(i - 1) >> 1] < heap[i]) {
+      const parent = (i - 1) >> 1;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  } else if (value < heap[0]) {
+    heap[0] = value;
+    i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let largest = i;
+      if (left < heap.length && heap[left] > heap[largest]) {
+        largest = left;
+      }
+      if (right < heap.length && heap[right] > heap[largest]) {
+        largest = right;
+      }
+      if (largest === i) {
+        break;
+      }
+      [heap[largest], heap[i]] = [heap[i], heap[largest]];
+      i = largest;
+    }
+  }
+}
+
+/**
+ * Returns true if given index type is a type of GeoIndex
+ * @param  {String}  type
+ * @return {Boolean}
+ */
+export function isGeoIndexType(type) {
+  return GEO_INDEX_TYPES.indexOf(type) >= 0;
+}
+
+
+/**
+ * Spatial index by a field with points. Points stored in a grid
+ * of buckets (`bucketSize` option, 1 by default) for finding
+ * nearest points without calculating distance to each point.
+ *
+ * Type `2d` indexes coordinate pairs (`[x, y]` or `{x, y}`) with
+ * euclidean distance. Type `2dsphere` indexes GeoJSON objects with
+ * distance in meters on a sphere and `bucketSize` in degrees.
+ * Other GeoJSON geometries (not points) are not placed in the grid
+ * and always returned as candidates first, because `$near` treats
+ * them as zero distant if they are within the max distance.
+ *
+ * A field with an array of points is indexed by each point
+ * (multikey). Documents without points are not indexed.
+ */
+export class GeoIndex {
+  constructor(options = {}) {
+    invariant(
+      _check.nonEmptyString(options.fieldName),
+      'GeoIndex(...): you must specify a "fieldName" option with a single field'
+    );
+    invariant(
+      isGeoIndexType(options.type),
+      'GeoIndex(...): unknown type of a geo index %s',
+      options.type
+    );
+
+    this.type = options.type;
+    this.fieldName = options.fieldName;
+    this.name = options.name || `${options.fieldName}_${options.type}`;
+    this.fields = [{ path: options.fieldName, ascending: true }];
+    this.bucketSize = options.bucketSize || DEFAULT_BUCKET_SIZE;
+    this.unique = false;
+    this.sparse = true;
+    this.partialFilterExpression = null;
+    this._lookup = makeLookupFunction(options.fieldName);
+    this._spherical = this.type === '2dsphere';
+    this.reset();
+  }
+
+  reset() {
+    this.multikey = false;
+    this._points = new Map();
+    this._others = new Set();
+    this._buckets = new Map();
+  }
+
+  insert(doc) {
+    const {points, other} = this._getPoints(doc);
+    if (other) {
+      this._others.add(doc._id);
+    }
+    if (points.length) {
+      this._addPoints(doc._id, points);
+    }
+  }
+
+  remove(doc) {
+    this._others.delete(doc._id);
+    const points = this._points.get(doc._id);
+    if (!points) {
+      return;
+    }
+    _each(points, (point) => {
+      const key = this._getBucketKey(point);
+      const ids = this._buckets.get(key);
+      ids.delete(doc._id);
+      if (!ids.size) {
+        this._buckets.delete(key);
+      }
+    });
+    this._points.delete(doc._id);
+  }
+
+  update(oldDoc, newDoc) {
+    if (oldDoc) {
+      this.remove(oldDoc);
+    }
+    this.insert(newDoc);
+  }
+
+  revertUpdate(oldDoc, newDoc) {
+    this.remove(newDoc);
+    if (oldDoc) {
+      this.insert(oldDoc);
+    }
+  }
+
+  /**
+   * Returns ids of all indexed documents
+   * @return {Array}
+   */
+  getAll() {
+    return Array.from(this._others).concat(Array.from(this._points.keys()));
+  }
+
+  /**
+   * Returns ids of documents in order of distance to given
+   * point (coordinate pair for `2d` and GeoJSON Point for
+   * `2dsphere`). Only documents within `options.maxDistance`
+   * returned (if given). With `options.limit` at least limit
+   * nearest documents returned, but maybe not all of them.
+   * Ids of documents with not point geometries returned first.
+   * @param  {Array|Object} point
+   * @param  {Number} options.maxDistance
+   * @param  {Number} options.limit
+   * @return {Array}
+   */
+  getNear(point, options = {}) {
+    const center = this._spherical
+      ? getCoordinatePair(point && point.coordinates)
+      : getCoordinatePair(point);
+    invariant(center, 'getNear(...): invalid point');
+
+    const maxDistance = _check.number(options.maxDistance)
+      ? options.maxDistance : Infinity;
+    const limit = options.limit;
+    const distances = new Map();
+    const heap = [];
+    const isFar = (bound) => bound > maxDistance ||
+      (limit && heap.length >= limit && bound > heap[0]);
+    const visitBucket = (key) => {
+      this._buckets.get(key).forEach((id) => {
+        if (!distances.has(id)) {
+          const distance = this._getDistance(center, id);
+          if (distance <= maxDistance) {
+            distances.set(id, distance);
+            if (limit) {
+              pushBounded(heap, distance, limit);
+            }
+          }
+        }
+      });
+    };
+
+    // Buckets visited in rings around the bucket of the center.
+    // All points of next rings is not closer then the minimal bound
+    // of a ring, so traversal stopped at the first too far ring.
+    // When rings cover more cells then there is buckets, the rest
+    // of buckets ordered by the bound instead
+    const centerCoords = this._getBucketCoords(center);
+    const seen = new Set();
+    let seenBuckets = 0;
+    let cells = 0;
+    for (let r = 0; seenBuckets < this._buckets.size; r++) {
+      cells += r ? 8 * r : 1;
+      if (cells > this._buckets.size) {
+        const rest = [];
+        this._buckets.forEach((ids, key) => {
+          if (!seen.has(key)) {
+            const coords = _map(key.split(':'), Number);
+            rest.push({ bound: this._getBucketDistanceBound(center, coords), key });
+          }
+        });
+        rest.sort((a, b) => a.bound - b.bound);
+        for (let i = 0; i < rest.length && !isFar(rest[i].bound); i++) {
+          visitBucket(rest[i].key);
+        }
+        break;
+      }
+
+      let ringBound = Infinity;
+      const ring = [];
+      _each(this._getRingCoords(centerCoords, r), (coords) => {
+        const key = coords.join(':');
+        if (!seen.has(key)) {
+          seen.add(key);
+          const bound = this._getBucketDistanceBound(center, coords);
+          ringBound = Math.min(ringBound, bound);
+          if (this._buckets.has(key)) {
+            ring.push({ bound, key });
+          }
+        }
+      });
+      if (isFar(ringBound)) {
+        break;
+      }
+      seenBuckets += ring.length;
+      _each(ring, (bucket) => {
+        if (!isFar(bucket.bound)) {
+          visitBucket(bucket.key);
+        }
+      });
+    }
+
+    const nearIds = Array.from(distances.keys())
+      .sort((a, b) => distances.get(a) - distances.get(b));
+    return Array.from(this._others).concat(nearIds);
+  }
+
+  /**
+   * Returns options of the index which is enough for
+   * creating the same index
+   * @return {Object}
+   */
+  getDefinition() {
+    return {
+      fieldName: this.fieldName,
+      name: this.name,
+      type: this.type,
+      bucketSize: this.bucketSize,
+    };
+  }
+
+  /**
+   * Returns an EJSON-compatible object with all points
+   * of the index, that could be loaded by `load`
+   * @return {Object}
+   */
+  serialize() {
+    const entries = [];
+    this._points.forEach((points, id) => {
+      entries.push({ k: id, v: points });
+    });
+    return {
+      definition: this.getDefinition(),
+      multikey: this.multikey,
+      others: Array.from(this._others),
+      entries,
+    };
+  }
+
+  /**
+   * Replace all points of the index with points from
+   * an object returned by `serialize`
+   * @param  {Object} data
+   */
+  load(data) {
+    this.reset();
+    _each(data.entries, (entry) => {
+      this._addPoints(entry.k, entry.v);
+    });
+    this._others = new Set(data.others);
+    this.multikey = !!data.multikey;
+  }
+
+  _addPoints(id, points) {
+    this._points.set(id, points);
+    _each(points, (point) => {
+      const key = this._getBucketKey(point);
+      if (!this._buckets.has(key)) {
+        this._buckets.set(key, new Set());
+      }
+      this._buckets.get(key).add(id);
+    });
+    this.multikey = this.multikey || points.length > 1;
+  }
+
+  _getPoints(doc) {
+    const points = [];
+    let other = false;
+    _each(expandArraysInBranches(this._lookup(doc)), (branch) => {
+      const value = branch.value;
+      if (!this._spherical) {
+        const pair = getCoordinatePair(value);
+        if (pair) {
+          points.push(pair);
+        }
+      } else if (isGeoJSONPoint(value)) {
+        points.push(getCoordinatePair(value.coordinates));
+      } else if (isPlainObject(value) && _check.string(value.type)) {
+        other = true;
+      }
+    });
+    return { points, other };
+  }
+
+  _getDistance(center, id) {
+    let res = Infinity;
+    _each(this._points.get(id), (point) => {
+      let distance;
+      if (this._spherical) {
+        distance = sphereDistance(center, point);
+      } else {
+        const x = point[0] - center[0];
+        const y = point[1] - center[1];
+        distance = Math.sqrt(x * x + y * y);
+      }
+      res = Math.min(res, distance);
+    });
+    return res;
+  }
+
+  _getBucketCoords(point) {
+    const lon = this._spherical
+      ? Math.floor(((point[0] % 360 + 540) % 360) / this.bucketSize)
+      : Math.floor(point[0] / this.bucketSize);
+    return [lon, Math.floor(point[1] / this.bucketSize)];
+  }
+
+  _getBucketKey(point) {
+    return this._getBucketCoords(point).join(':');
+  }
+
+  // Coordinates of buckets with distance `r` (in buckets) from given
+  // bucket. For `2dsphere` longitude wrapped and cells outside of
+  // valid latitudes skipped, so a cell could repeat in a ring
+  _getRingCoords(coords, r) {
+    const res = [];
+    for (let dx = -r; dx <= r; dx++) {
+      const step = dx === -r || dx === r ? 1 : 2 * r;
+      for (let dy = -r; dy <= r; dy += step) {
+        res.push([coords[0] + dx, coords[1] + dy]);
+      }
+    }
+    if (!this._spherical) {
+      return res;
+    }
+
+    const lonCount = Math.ceil(360 / this.bucketSize);
+    const minLat = Math.floor(-90 / this.bucketSize);
+    const maxLat = Math.floor(90 / this.bucketSize);
+    return _map(
+      _filter(res, c => c[1] >= minLat && c[1] <= maxLat),
+      c => [(c[0] % lonCount + lonCount) % lonCount, c[1]]
+    );
+  }
+
+  // Minimal distance from the center to a rectangle of the bucket
+  _getBucketDistanceBound(center, coords) {
+    const size = this.bucketSize;
+    if (!this._spherical) {
+      const dx = Math.max(coords[0] * size - center[0], 0, center[0] - (coords[0] + 1) * size);
+      const dy = Math.max(coords[1] * size - center[1], 0, center[1] - (coords[1] + 1) * size);
+      return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    const minLat = coords[1] * size;
+    const maxLat = Math.min((coords[1] + 1) * size, 90);
+    const minLon = coords[0] * size - 180;
+    const lonDiff = (lon) => {
+      const diff = Math.abs(lon - center[0]) % 360;
+      return Math.min(diff, 360 - diff);
+    };
+    const inLonRange = ((center[0] - minLon) % 360 + 360) % 360 < size;
+    if (inLonRange) {
+      return EARTH_RADIUS * toRadians(Math.max(minLat - center[1], 0, center[1] - maxLat));
+    }
+
+    // For each latitude the nearest point is on the nearest edge
+    // meridian. Distance to a meridian is minimal at `nearestLat`,
+    // and it grows in both directions from it
+    const edgeLon = lonDiff(minLon) < lonDiff(minLon + size) ? minLon : minLon + size;
+    const dLon = toRadians(lonDiff(edgeLon));
+    const lat = toRadians(center[1]);
+    if (dLon < Math.PI / 2) {
+      const nearestLat = Math.atan(Math.tan(lat) / Math.cos(dLon)) * 180 / Math.PI;
+      if (nearestLat >= minLat && nearestLat <= maxLat) {
+        return EARTH_RADIUS * Math.asin(Math.cos(lat) * Math.sin(dLon));
+      }
+    }
+    return Math.min(
+      sphereDistance(center, [edgeLon, minLat]),
+      sphereDistance(center, [edgeLon, maxLat])
+    );
+  }
+}
+
+export default GeoIndex;
@@ -0,0 +1,30 @@
+import _map from 'fast.js/map';
+import ExtendableError from './ExtendableError';
+
+
+/**
+ * Error rised when an index can't be built because some
+ * documents can't be added to the index. Each element of
+ * `errors` is an object with the document (`doc`) and
+ * the error rised by the index (`cause`).
+ */
+export default class IndexBuildError extends ExtendableError {
+  constructor(indexName, errors = []) {
+    super(
+      `Index build failed: index "${indexName}" can't be built ` +
+      `for ${errors.length} document(s)` +
+      (errors.length ? `. First error: ${errors[0].cause.message}` : '')
+    );
+    this.name = 'IndexBuildError';
+    this.index = indexName;
+    this.errors = errors;
+  }
+
+  /**
+   * Documents that can't be added to the index
+   * @return {Array}
+   */
+  get documents() {
+    return _map(this.errors, e => e.doc);
+  }
+}
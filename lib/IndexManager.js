@@ -2,10 +2,42 @@ import _bind from 'fast.js/function/bind';
 import _keys from 'fast.js/object/keys';
 import _each from 'fast.js/forEach';
 import _map from 'fast.js/map';
+import _some from 'fast.js/array/some';
+import _filter from 'fast.js/array/filter';
+import _values from 'fast.js/object/values';
+import _check from 'check-types';
 import invariant from 'invariant';
 import PromiseQueue from './PromiseQueue';
-import CollectionIndex from './CollectionIndex';
+import EJSON from './EJSON';
+import debounce from './debounce';
+import CollectionIndex, {getIndexName} from './CollectionIndex';
+import TextIndex from './TextIndex';
+import GeoIndex, {isGeoIndexType} from './GeoIndex';
 import DocumentRetriver from './DocumentRetriver';
+import IndexBuildError from './IndexBuildError';
+
+
+// Internals
+const INDEX_FORMAT_VERSION = 1;
+const DEFAULT_FLUSH_DELAY = 1000;
+const DEFAULT_TTL_MONITOR_INTERVAL = 60000;
+const BUILD_PROGRESS_STEP = 1000;
+
+const DEFAULT_CLOCK = {
+  now: () => Date.now(),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (timer) => clearInterval(timer),
+};
+
+// Simple string hash (djb2) for checking integrity
+// of persisted index data
+function computeChecksum(str) {
+  let hash = 5381;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+  }
+  return hash;
+}
 
 
 /**
@@ -13,13 +45,45 @@ import DocumentRetriver from './DocumentRetriver';
  * for some model. Building indexes is promise
  * based.
  * By default it creates an index for `_id` field.
+ *
+ * With `persistIndexes` option contents of indexes saved
+ * to a sibling store (same storage manager class with
+ * `<modelName>.indexes` model name) after writes, and loaded
+ * from it instead of a full rebuild. The store marked as
+ * inconsistent before the first index modification after
+ * a save, so only indexes saved after all writes are loaded.
+ *
+ * While there is some TTL index (with `expireAfterSeconds`) expired
+ * documents removed by `Collection#remove` every
+ * `ttlMonitorInterval` milliseconds (60 seconds by default).
+ * Time source and timers could be replaced by `clock` option,
+ * an object with `now`, `setInterval` and `clearInterval` functions.
  */
 /* istanbul ignore next */
 export class IndexManager {
   constructor(db, options = {}) {
     this.db = db;
     this.indexes = {};
-    this._queue = new PromiseQueue(options.concurrency || 2);
+    // Index operations executed one by one by default, because
+    // unique indexes depends on the order of operations
+    this._queue = new PromiseQueue(options.concurrency || 1);
+
+    // Persisting of indexes contents
+    this._persist = !!options.persistIndexes;
+    this._storageOptions = options;
+    this._pendingWrites = 0;
+    this._persistedClean = null;
+    this._scheduleFlush = debounce(
+      () => this.flushIndexes(),
+      options.indexFlushDelay || DEFAULT_FLUSH_DELAY
+    );
+
+    // Removing of expired documents by TTL indexes
+    this._clock = options.clock || DEFAULT_CLOCK;
+    this._ttlMonitorInterval = options.ttlMonitorInterval ||
+      DEFAULT_TTL_MONITOR_INTERVAL;
+    this._ttlTimer = null;
+    this._expirePromise = null;
 
     // By default ensure index by _id field
     this.ensureIndex({
@@ -30,14 +94,34 @@ export class IndexManager {
 
   /**
    * Check index existance for given `options.fieldName` and
-   * if index not exists it creates new one.
+   * if index not exists it creates new one. Indexes are stored
+   * by name, which is `options.name` or generated from the field
+   * name (see `getIndexName`). `options.fieldName` may be an array
+   * of fields for a compound index, like `['a', ['b', 'desc']]`.
    * Always return a promise that resolved only when
    * index succesfully created, built and ready for working with.
    * If `options.forceRebuild` provided and equals to true then
    * existing index will be rebuilt, otherwise existing index
-   * don't touched.
+   * don't touched. Options given for an existing index must be
+   * the same as options of the index, otherwise the promise
+   * rejected (or the index rebuilt with new options when
+   * `options.forceRebuild` is true). Not given options are not
+   * compared.
+   *
+   * With `options.type` equals to `text` a full-text index
+   * created (see TextIndex). Only one text index allowed
+   * for a collection. Types `2d` and `2dsphere` is for
+   * a spatial index (see GeoIndex). With `options.expireAfterSeconds`
+   * the index is a TTL index: documents with a date in the field
+   * older than given number of seconds removed automatically.
+   * With `options.collation` string keys compared by the collation
+   * (see Collation).
    *
-   * @param  {Object} options.fieldName     name of the field for indexing
+   * @param  {String|Array} options.fieldName  name of the field for indexing
+   * @param  {String} options.name          name of the index
+   * @param  {String} options.type          type of the index
+   * @param  {Number} options.expireAfterSeconds  lifetime of documents
+   * @param  {Object} options.collation   collation of string keys
    * @param  {Object} options.forceRebuild  rebuild index if it exists
    * @return {Promise}
    */
@@ -47,14 +131,27 @@ export class IndexManager {
       'You must specify a fieldName in options object'
     );
 
-    const key = options.fieldName;
+    const key = options.name || getIndexName(options.fieldName, options.type);
     if (!this.indexes[key]) {
-      this.indexes[key] = new CollectionIndex(options);
+      this.indexes[key] = this._createIndex(key, options);
+      this._updateTTLMonitor();
       return this.buildIndex(key);
+    }
+
+    const conflicts = this._getConflictingOptions(key, options);
+    if (conflicts.length && options.forceRebuild) {
+      this.indexes[key] = this._createIndex(key, options);
+      this._updateTTLMonitor();
+      return this.buildIndex(key, true);
+    } else if (conflicts.length) {
+      return Promise.reject(new Error(
+        `ensureIndex(...): index "${key}" already exists with ` +
+        `different options: ${conflicts.join(', ')}`
+      ));
     } else if (this.indexes[key].buildPromise) {
       return this.indexes[key].buildPromise;
     } else if (options && options.forceRebuild) {
-      return this.buildIndex(key);
+      return this.buildIndex(key, true);
     } else {
       return Promise.resolve();
     }
@@ -63,23 +160,31 @@ export class IndexManager {
   /**
    * Buld an existing index (ensured) and return a
    * promise that will be resolved only when index successfully
-   * built for all documents in the storage.
+   * built for all documents in the storage, or rejected with
+   * IndexBuildError. With persisted
+   * indexes the index loaded from the index store when it is
+   * consistent with documents, unless `forceRebuild` passed.
    * @param  {String} key
+   * @param  {Boolean} forceRebuild
    * @return {Promise}
    */
-  buildIndex(key) {
+  buildIndex(key, forceRebuild = false) {
     invariant(
       this.indexes[key],
       'Index with key `%s` does not ensured yet',
       key
     );
 
-    const cleanup = () => this.indexes[key].buildPromise = null;
+    const index = this.indexes[key];
+    const cleanup = () => index.buildPromise = null;
     const buildPromise = this._queue.add(
-      _bind(this._doBuildIndex, this, key)
-    ).then(cleanup, cleanup);
+      _bind(this._doBuildIndex, this, key, forceRebuild)
+    ).then(cleanup, (e) => {
+      cleanup();
+      throw e;
+    });
 
-    this.indexes[key].buildPromise = buildPromise;
+    index.buildPromise = buildPromise;
     return buildPromise;
   }
 
@@ -93,7 +198,8 @@ export class IndexManager {
     return Promise.all(
       _map(this.indexes, (v, k) => {
         return this.ensureIndex({
-          fieldName: k,
+          fieldName: v.fieldName,
+          name: k,
           forceRebuild: true,
         });
       })
@@ -101,23 +207,152 @@ export class IndexManager {
   }
 
   /**
-   * Remove an index
+   * Remove an index and its contents from the index store
+   * (if persisting is enabled)
    * @param  {String} key
    * @return {Promise}
    */
   removeIndex(key) {
     return this._queue.add(() => {
       delete this.indexes[key];
+      this._updateTTLMonitor();
+      if (this._persist) {
+        return this._getIndexStore().delete(`index:${key}`);
+      }
+    });
+  }
+
+  /**
+   * Remove all documents from all indexes.
+   * Indexes itself are not removed.
+   * @return {Promise}
+   */
+  clearIndexes() {
+    return this._queueWrite(() => {
+      _each(_keys(this.indexes), (k) => {
+        this.indexes[k].reset();
+      });
+    });
+  }
+
+  /**
+   * Remove all documents expired by TTL indexes. A document
+   * expired when some date in the field of a TTL index is older
+   * than `expireAfterSeconds` of the index. Documents removed
+   * with `Collection#remove`, so all `remove` events emitted.
+   * Resolved with a number of removed documents.
+   * @return {Promise}
+   */
+  removeExpiredDocuments() {
+    if (this._expirePromise) {
+      return this._expirePromise;
+    }
+
+    const now = this._clock.now();
+    const ttlIndexes = _filter(_values(this.indexes), idx =>
+      _check.number(idx.expireAfterSeconds)
+    );
+    const removeExpired = (i, removed) => {
+      if (i >= ttlIndexes.length) {
+        return Promise.resolve(removed);
+      }
+      const index = ttlIndexes[i];
+      const expireDate = new Date(now - index.expireAfterSeconds * 1000);
+      return this.db.remove(
+        { [index.fieldName]: { $lte: expireDate } },
+        { multi: true }
+      ).then((docs) => removeExpired(i + 1, removed + docs.length));
+    };
+
+    const cleanup = () => this._expirePromise = null;
+    this._expirePromise = Promise.resolve(removeExpired(0, 0));
+    this._expirePromise.then(cleanup, cleanup);
+    return this._expirePromise;
+  }
+
+  /**
+   * Track a write operation to the collection. Indexes
+   * persisted only when there is no unfinished writes,
+   * because documents of a write may be not persisted yet.
+   * Returns given promise.
+   * @param  {Promise} writePromise
+   * @return {Promise}
+   */
+  trackWrite(writePromise) {
+    if (!this._persist) {
+      return writePromise;
+    }
+
+    this._pendingWrites += 1;
+    const finish = () => {
+      this._pendingWrites -= 1;
+      this._scheduleFlush();
+    };
+    writePromise.then(finish, finish);
+    return writePromise;
+  }
+
+  /**
+   * Save contents of all built indexes to the index store
+   * and mark the store as consistent with documents. Does
+   * nothing if indexes persisting is not enabled or there is
+   * some unfinished write.
+   * @return {Promise}
+   */
+  flushIndexes() {
+    if (!this._persist) {
+      return Promise.resolve();
+    }
+
+    return this._queue.add(() => {
+      if (this._pendingWrites > 0) {
+        return Promise.resolve();
+      }
+
+      const store = this._getIndexStore();
+      const checksums = {};
+      const persistPromises = [];
+      _each(this.indexes, (index, key) => {
+        if (index.buildPromise) {
+          return;
+        }
+        const data = EJSON.stringify(index.serialize());
+        checksums[key] = computeChecksum(data);
+        persistPromises.push(store.persist(`index:${key}`, {
+          formatVersion: INDEX_FORMAT_VERSION,
+          checksum: checksums[key],
+          data,
+        }));
+      });
+
+      return Promise.all(persistPromises).then(() =>
+        this._persistState({ clean: true, checksums })
+      );
     });
   }
 
+  /**
+   * Stop the timer for removing expired documents and save
+   * contents of indexes (if persisting is enabled) without
+   * waiting for the flush delay
+   * @return {Promise}
+   */
+  close() {
+    if (this._ttlTimer) {
+      this._clock.clearInterval(this._ttlTimer);
+      this._ttlTimer = null;
+    }
+    this._scheduleFlush.cancel();
+    return this.flushIndexes();
+  }
+
   /**
    * Add a document to all indexes
    * @param  {Object} doc
    * @return {Promise}
    */
   indexDocument(doc) {
-    return this._queue.add(() => {
+    return this._queueWrite(() => {
       const keys = _keys(this.indexes);
       let failingIndex = null;
       try {
@@ -142,7 +377,7 @@ export class IndexManager {
    * @return {Promise}
    */
   reindexDocument(oldDoc, newDoc) {
-    return this._queue.add(() => {
+    return this._queueWrite(() => {
       const keys = _keys(this.indexes);
       let failingIndex = null;
       try {
@@ -165,7 +400,7 @@ export class IndexManager {
    * @return {Promise}
    */
   deindexDocument(doc) {
-    return this._queue.add(() => {
+    return this._queueWrite(() => {
       const keys = _keys(this.indexes);
       _each(keys, (k) => {
         this.indexes[k].remove(doc);
@@ -174,11 +409,165 @@ export class IndexManager {
   }
 
   /**
-   * Build an existing index with reseting first
+   * Start the timer for removing expired documents when there
+   * is some TTL index, and stop it otherwise. The timer does not
+   * keep a Node.js process running (unref'ed if possible).
+   */
+  _updateTTLMonitor() {
+    const hasTTLIndex = _some(_keys(this.indexes), k =>
+      _check.number(this.indexes[k].expireAfterSeconds)
+    );
+    if (hasTTLIndex && !this._ttlTimer) {
+      this._ttlTimer = this._clock.setInterval(() => {
+        // Failed removal already emitted `error` event of the collection
+        this.removeExpiredDocuments().then(null, () => {});
+      }, this._ttlMonitorInterval);
+      if (this._ttlTimer && typeof this._ttlTimer.unref === 'function') {
+        this._ttlTimer.unref();
+      }
+    } else if (!hasTTLIndex && this._ttlTimer) {
+      this._clock.clearInterval(this._ttlTimer);
+      this._ttlTimer = null;
+    }
+  }
+
+  // Names of given options which differ from the definition
+  // of the existing index with given key
+  _getConflictingOptions(key, options) {
+    const optionNames = _filter(_keys(options), k =>
+      k !== 'name' && k !== 'forceRebuild' && options[k] !== undefined
+    );
+    if (!optionNames.length) {
+      return [];
+    }
+    const current = this.indexes[key].getDefinition();
+    const given = this._createIndex(key, options).getDefinition();
+    return _filter(optionNames, k =>
+      k in given && !EJSON.equals(
+        given[k] === undefined ? null : given[k],
+        current[k] === undefined ? null : current[k]
+      )
+    );
+  }
+
+  _createIndex(key, options) {
+    if (options.type === 'text') {
+      invariant(
+        !_some(_keys(this.indexes), k => k !== key && this.indexes[k].type === 'text'),
+        'Collection may have only one text index'
+      );
+      return new TextIndex({ ...options, name: key });
+    } else if (isGeoIndexType(options.type)) {
+      return new GeoIndex({ ...options, name: key });
+    }
+    invariant(
+      !options.type,
+      'Unknown index type %s',
+      options.type
+    );
+    return new CollectionIndex(options);
+  }
+
+  /**
+   * Execute an index modification in the queue. With persisted
+   * indexes the index store marked as inconsistent before
+   * the first modification after a flush.
+   * @param  {Function} fn
+   * @return {Promise}
+   */
+  _queueWrite(fn) {
+    return this._queue.add(() => {
+      if (!this._persist || this._persistedClean === false) {
+        return fn();
+      }
+      return this._persistState({ clean: false }).then(fn);
+    });
+  }
+
+  _persistState(state) {
+    return this._getIndexStore().persist('state', state).then(() => {
+      this._persistedClean = state.clean;
+    });
+  }
+
+  _getIndexStore() {
+    if (!this._indexStore) {
+      // Sibling store of the same class as the documents
+      // storage, but with different model name
+      const storageClass = this.db.storageManager.constructor;
+      const storeDb = Object.create(this.db, {
+        _modelName: { value: `${this.db.modelName}.indexes` },
+      });
+      this._indexStore = new storageClass(storeDb, this._storageOptions);
+    }
+    return this._indexStore;
+  }
+
+  /**
+   * Load contents of the index from the index store.
+   * Resolved with true if the index loaded, or with false
+   * if there is no consistent data for the index in the store.
+   * @param  {String} key
+   * @param  {CollectionIndex} index
+   * @return {Promise}
+   */
+  _loadIndex(key, index) {
+    const store = this._getIndexStore();
+    return Promise.all([
+      store.get('state'),
+      store.get(`index:${key}`),
+    ]).then(([state, stored]) => {
+      if (
+        !state || !state.clean || !stored || !state.checksums ||
+        stored.formatVersion !== INDEX_FORMAT_VERSION ||
+        state.checksums[key] !== stored.checksum ||
+        computeChecksum(stored.data) !== stored.checksum
+      ) {
+        return false;
+      }
+
+      const data = EJSON.parse(stored.data);
+      if (!EJSON.equals(data.definition, index.getDefinition())) {
+        return false;
+      }
+      index.load(data);
+      return true;
+    });
+  }
+
+  /**
+   * Build an existing index with reseting first. With persisted
+   * indexes it tries to load the index from the index store
+   * first, unless `forceRebuild` is true.
    * @param  {String} key
+   * @param  {Boolean} forceRebuild
    * @return {Promise}
    */
-  _doBuildIndex(key) {
+  _doBuildIndex(key, forceRebuild) {
+    const index = this.indexes[key];
+    if (this._persist && !forceRebuild) {
+      return this._loadIndex(key, index).then((loaded) => {
+        if (!loaded) {
+          return this._doRebuildIndex(key).then(() => {
+            this._scheduleFlush();
+          });
+        }
+      });
+    }
+    return this._doRebuildIndex(key);
+  }
+
+  /**
+   * Reset the index and add all documents from the storage
+   * to it. Progress of the build emitted in the collection
+   * as `indexBuildProgress` event with `{index, processed, total}`
+   * object (at start, for each thousand of documents and at the end).
+   * If some documents can't be added to the index, then the index
+   * removed and returned promise rejected with IndexBuildError.
+   * @param  {String} key
+   * @return {Promise}
+   */
+  _doRebuildIndex(key) {
     // Get and reset index
     const index = this.indexes[key];
     index.reset();
@@ -187,16 +576,33 @@ export class IndexManager {
     const errors = [];
     return new DocumentRetriver(this.db)
     .retriveAll().then((docs) => {
-      _each(docs, doc => {
+      const total = docs.length;
+      const emitProgress = (processed) => {
+        this.db.emit('indexBuildProgress', { index: key, processed, total });
+      };
+
+      emitProgress(0);
+      _each(docs, (doc, i) => {
         try {
           index.insert(doc);
         } catch (e) {
-          errors.push([e, doc]);
+          errors.push({ doc, cause: e });
+        }
+        if ((i + 1) % BUILD_PROGRESS_STEP === 0 && i + 1 < total) {
+          emitProgress(i + 1);
         }
       });
+      if (total > 0) {
+        emitProgress(total);
+      }
 
+      // Partially built index can't be used for queries
       if (errors.length > 0) {
-        throw new Error('Index build failed with errors: ', errors);
+        if (this.indexes[key] === index) {
+          delete this.indexes[key];
+          this._updateTTLMonitor();
+        }
+        throw new IndexBuildError(key, errors);
       }
     });
   }
@@ -0,0 +1,882 @@
+import _check from 'check-types';
+import _each from 'fast.js/forEach';
+import _every from 'fast.js/array/every';
+import _filter from 'fast.js/array/filter';
+import _keys from 'fast.js/object/keys';
+import _map from 'fast.js/map';
+import _some from 'fast.js/array/some';
+import invariant from 'invariant';
+import EJSON from './EJSON';
+import DocumentMatcher from './DocumentMatcher';
+import {isGeoIndexType} from './GeoIndex';
+import {isSameCollation} from './Collation';
+import {selectorIsId, selectorIsIdPerhapsAsObject, isArray,
+  isOperatorObject, isPlainObject, MongoTypeComp} from './Document';
+
+
+// Internals
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+
+/**
+ * Returns a list of ids from the query, if it is a query
+ * only by an `_id` field (id itself, `{_id: id}` or
+ * `{_id: {$in: [...]}}`). Otherwise returns undefined.
+ * @param  {Object} query
+ * @return {Array}
+ */
+export function getSelectorIds(query) {
+  if (selectorIsId(query)) {
+    // fast path for scalar query
+    return [query];
+  } else if (selectorIsIdPerhapsAsObject(query)) {
+    // also do the fast path for { _id: idString }
+    return [query._id];
+  } else if (
+    _check.object(query) && query.hasOwnProperty('_id') &&
+    _check.object(query._id) && query._id.hasOwnProperty('$in') &&
+    _check.array(query._id.$in)
+  ) {
+    // and finally fast path for multiple ids
+    // selected by $in operator
+    return query._id.$in;
+  }
+}
+
+/**
+ * Collects value selectors for each field of the query,
+ * including fields from `$and` sub-selectors. All selectors
+ * of a field must be satisfied by a matching document.
+ * @param  {Object} selector
+ * @param  {Object} res
+ * @return {Object}
+ */
+export function collectFieldSelectors(selector, res = {}) {
+  _each(selector, (subSelector, key) => {
+    if (key === '$and') {
+      if (_check.array(subSelector)) {
+        _each(subSelector, s => {
+          if (_check.object(s)) {
+            collectFieldSelectors(s, res);
+          }
+        });
+      }
+    } else if (key.charAt(0) !== '$') {
+      res[key] = res[key] || [];
+      res[key].push(subSelector);
+    }
+  });
+  return res;
+}
+
+// Values of fields fixed by equality selectors of the query
+function getEqualityValues(query) {
+  const res = {};
+  if (!_check.object(query) || selectorIsId(query)) {
+    return res;
+  }
+  const fieldSelectors = collectFieldSelectors(query);
+  _each(fieldSelectors, (selectors, path) => {
+    const equalities = _filter(selectors, isEqualitySelector);
+    if (equalities.length > 0) {
+      res[path] = equalities[0];
+    }
+  });
+  return res;
+}
+
+// True if some field of the query selected by `$near`
+function hasNearSelector(query) {
+  if (!_check.object(query)) {
+    return false;
+  }
+  const fieldSelectors = collectFieldSelectors(query);
+  return _some(_keys(fieldSelectors), path =>
+    _some(fieldSelectors[path], x => isOperatorObject(x) && x.$near !== undefined)
+  );
+}
+
+function isNaturalHint(hint) {
+  return _check.object(hint) && hint.hasOwnProperty('$natural');
+}
+
+function isNullValue(x) {
+  return x === null || x === undefined;
+}
+
+function hasNullOperand(operators) {
+  return _some(_keys(operators), op => isNullValue(operators[op]));
+}
+
+function uniqueIds(ids) {
+  const seen = new Set();
+  const res = [];
+  _each(ids, (id) => {
+    if (!seen.has(id)) {
+      seen.add(id);
+      res.push(id);
+    }
+  });
+  return res;
+}
+
+function intersectIds(a, b) {
+  const bSet = new Set(b);
+  const res = [];
+  _each(a, (id) => {
+    if (bSet.has(id)) {
+      res.push(id);
+    }
+  });
+  return res;
+}
+
+/**
+ * Returns a list of ids of documents that may match
+ * given value selector by the index. Returns null if
+ * the index can't be used for the selector.
+ * @param  {CollectionIndex} index
+ * @param  {Mixed} valueSelector
+ * @return {Array}
+ */
+function getIdsFromIndex(index, valueSelector) {
+  if (valueSelector instanceof RegExp || (index.sparse && isNullValue(valueSelector))) {
+    return null;
+  } else if (!isOperatorObject(valueSelector)) {
+    return getEqualityIds(index, valueSelector);
+  }
+
+  let res = null;
+  const addCandidates = (ids) => {
+    if (ids !== null) {
+      res = res === null ? ids : intersectIds(res, ids);
+    }
+  };
+
+  const inOperand = valueSelector.$in;
+  if (
+    _check.array(inOperand) && inOperand.length > 0 &&
+    !_some(inOperand, x => x instanceof RegExp || isOperatorObject(x))
+  ) {
+    const ids = [];
+    const canUseIndex = _every(inOperand, (value) => {
+      const valueIds = getEqualityIds(index, value);
+      if (valueIds !== null) {
+        Array.prototype.push.apply(ids, valueIds);
+      }
+      return valueIds !== null;
+    });
+    if (canUseIndex) {
+      addCandidates(uniqueIds(ids));
+    }
+  }
+
+  // Each value of $all must be an element of the array
+  const allOperand = valueSelector.$all;
+  if (
+    _check.array(allOperand) && allOperand.length > 0 &&
+    !_some(allOperand, x => x instanceof RegExp || isOperatorObject(x))
+  ) {
+    _each(allOperand, (value) => {
+      addCandidates(getEqualityIds(index, value));
+    });
+  }
+
+  // Operators of $elemMatch must be satisfied by a single
+  // element of an array, so all bounds could be used at once
+  const elemMatchBounds = getRangeBounds(valueSelector.$elemMatch);
+  if (elemMatchBounds) {
+    addCandidates(uniqueIds(index.getBetweenBounds(elemMatchBounds)));
+  }
+
+  // Each bound of a multikey index could be satisfied by
+  // different elements of an array, so the bounds should
+  // be used separately
+  // Null bounds match missing fields, which are not in a sparse index
+  const bounds = getRangeBounds(valueSelector);
+  if (!bounds || (index.sparse && hasNullOperand(bounds))) {
+    return res;
+  } else if (index.multikey) {
+    _each(bounds, (operand, op) => {
+      addCandidates(uniqueIds(index.getBetweenBounds({ [op]: operand })));
+    });
+  } else {
+    addCandidates(index.getBetweenBounds(bounds));
+  }
+
+  return res;
+}
+
+/**
+ * Returns a list of ids of documents that may have a field
+ * equal to given value. An array value matches the field
+ * equal to the array or an array containing the array. Any
+ * document with the first element of the array in the index
+ * is a candidate for the former case. Returns null if the
+ * index can't be used for the value.
+ * @param  {CollectionIndex} index
+ * @param  {Mixed} value
+ * @return {Array}
+ */
+function getEqualityIds(index, value) {
+  if (index.sparse && isNullValue(value)) {
+    return null;
+  } else if (!_check.array(value)) {
+    return index.multikey
+      ? uniqueIds(index.getMatching(value))
+      : index.getMatching(value);
+  } else if (value.length === 0) {
+    return null;
+  }
+  return uniqueIds(index.getMatching(value[0]).concat(index.getMatching(value)));
+}
+
+/**
+ * Returns an object with range operators (`$gt`, `$gte`,
+ * `$lt`, `$lte`) of the value selector or null if it
+ * does not have any range operator.
+ * @param  {Mixed} valueSelector
+ * @return {Object}
+ */
+function getRangeBounds(valueSelector) {
+  if (!isOperatorObject(valueSelector, true)) {
+    return null;
+  }
+  const bounds = {};
+  let hasBounds = false;
+  _each(RANGE_OPERATORS, (op) => {
+    if (valueSelector.hasOwnProperty(op)) {
+      bounds[op] = valueSelector[op];
+      hasBounds = true;
+    }
+  });
+  return hasBounds ? bounds : null;
+}
+
+/**
+ * Returns true if the value selector is a plain equality
+ * that can be looked up in a compound index as is.
+ * @param  {Mixed}  valueSelector
+ * @return {Boolean}
+ */
+function isEqualitySelector(valueSelector) {
+  return !(valueSelector instanceof RegExp) &&
+    !isOperatorObject(valueSelector) &&
+    !_check.array(valueSelector);
+}
+
+/**
+ * Returns a list of ids of documents that may match given
+ * field selectors by a compound index. The index is used with
+ * equality selectors on a prefix of its fields and, optionally,
+ * range selector on the next field. Returns null if the first
+ * field of the index can't be used.
+ * @param  {CollectionIndex} index
+ * @param  {Object} fieldSelectors
+ * @return {Array}
+ */
+function getIdsFromCompoundIndex(index, fieldSelectors) {
+  const prefix = [];
+  let bounds = {};
+  for (let i = 0; i < index.fields.length; i++) {
+    const selectors = fieldSelectors[index.fields[i].path] || [];
+    const equalities = _filter(selectors, isEqualitySelector);
+    if (equalities.length > 0) {
+      if (index.sparse && isNullValue(equalities[0])) {
+        break;
+      }
+      prefix.push(equalities[0]);
+    } else {
+      const ranges = _filter(_map(selectors, getRangeBounds), x =>
+        x && !(index.sparse && hasNullOperand(x))
+      );
+      bounds = ranges.length > 0 ? ranges[0] : {};
+      break;
+    }
+  }
+
+  // Only one bound could be used for a multikey index,
+  // because bounds may be satisfied by different elements
+  if (index.multikey && _keys(bounds).length > 1) {
+    const op = _keys(bounds)[0];
+    bounds = { [op]: bounds[op] };
+  }
+
+  if (prefix.length === 0 && _keys(bounds).length === 0) {
+    return null;
+  }
+  const ids = index.getBetweenBounds(bounds, prefix);
+  return index.multikey ? uniqueIds(ids) : ids;
+}
+
+/**
+ * Returns a list of ids of documents that may match given
+ * field selectors by the index. Returns null if the index
+ * can't be used for any of the selectors.
+ * @param  {CollectionIndex} index
+ * @param  {Object} fieldSelectors
+ * @return {Array}
+ */
+function getIdsFromFieldSelectors(index, fieldSelectors) {
+  if (index.compound) {
+    return getIdsFromCompoundIndex(index, fieldSelectors);
+  }
+
+  let ids = null;
+  const field = index.fieldName;
+  _each(fieldSelectors[field] || [], (valueSelector) => {
+    // Falsey _id never matches anything (see DocumentMatcher)
+    if (field === '_id' && !valueSelector) {
+      return;
+    }
+    const valueIds = getIdsFromIndex(index, valueSelector);
+    if (valueIds !== null) {
+      ids = ids === null ? valueIds : intersectIds(ids, valueIds);
+    }
+  });
+  return ids;
+}
+
+// Strings in selectors could be compared by an index only
+// with the same collation as in the query, other values compared
+// in the same way with any collation
+function hasStringOperand(value) {
+  if (typeof value === 'string') {
+    return true;
+  } else if (isArray(value)) {
+    return _some(value, hasStringOperand);
+  } else if (isPlainObject(value)) {
+    return _some(_keys(value), k => hasStringOperand(value[k]));
+  }
+  return false;
+}
+
+function isCollationCompatible(index, fieldSelectors, collation) {
+  return isSameCollation(index.collation, collation) ||
+    !_some(index.fields, field =>
+      _some(fieldSelectors[field.path] || [], hasStringOperand)
+    );
+}
+
+/**
+ * Returns true if the selector contains only field selectors
+ * and `$and` of such selectors, so all selectors of the query
+ * returned by `collectFieldSelectors`.
+ * @param  {Object}  selector
+ * @return {Boolean}
+ */
+function hasOnlyFieldSelectors(selector) {
+  return _every(_keys(selector), (key) => {
+    if (key === '$and') {
+      return _check.array(selector[key]) && _every(selector[key], s =>
+        _check.object(s) && hasOnlyFieldSelectors(s)
+      );
+    }
+    return key.charAt(0) !== '$';
+  });
+}
+
+// Equality with a scalar value is matched by an index exactly
+// in the same way as by DocumentMatcher
+function isExactEquality(index, value) {
+  return value !== undefined && !(value instanceof RegExp) &&
+    !isPlainObject(value) && !_check.array(value) &&
+    !(index.sparse && value === null);
+}
+
+// Range or $in operators with scalar operands matched by an index
+// exactly in the same way as by DocumentMatcher
+function isExactOperators(index, valueSelector, allowIn) {
+  return isOperatorObject(valueSelector, true) &&
+    _every(_keys(valueSelector), (op) => {
+      const operand = valueSelector[op];
+      if (op === '$in' && allowIn) {
+        return _check.array(operand) && operand.length > 0 &&
+          _every(operand, x => isExactEquality(index, x));
+      }
+      return RANGE_OPERATORS.indexOf(op) >= 0 &&
+        !isNullValue(operand) && !_check.array(operand);
+    });
+}
+
+/**
+ * Returns true if ids returned by the index for given field
+ * selectors are exactly ids of documents matching the selectors,
+ * so documents don't need to be checked by DocumentMatcher.
+ * @param  {CollectionIndex}  index
+ * @param  {Object}  fieldSelectors
+ * @return {Boolean}
+ */
+function isCoveredByIndex(index, fieldSelectors) {
+  if (index.multikey || index.partialFilterExpression) {
+    return false;
+  }
+
+  const paths = _keys(fieldSelectors);
+  if (!index.compound) {
+    const selectors = fieldSelectors[index.fieldName];
+    return paths.length === 1 && !!selectors && _every(selectors, (s) =>
+      (index.fieldName !== '_id' || !!s) &&
+      (isExactEquality(index, s) || isExactOperators(index, s, true))
+    );
+  }
+
+  // Query must contain only an equality for each field of
+  // a prefix of the index and, optionally, a range for the next field
+  let usedFields = 0;
+  for (let i = 0; i < index.fields.length; i++) {
+    const selectors = fieldSelectors[index.fields[i].path];
+    if (!selectors) {
+      break;
+    } else if (selectors.length !== 1) {
+      return false;
+    }
+    usedFields += 1;
+    if (!isExactEquality(index, selectors[0])) {
+      if (!isExactOperators(index, selectors[0], false)) {
+        return false;
+      }
+      break;
+    }
+  }
+  return usedFields > 0 && usedFields === paths.length;
+}
+
+// Checks that any element satisfying range operator `op` of
+// the query with `queryOperand` also satisfies `filterOp` with
+// `filterOperand`
+function rangeImplies(op, queryOperand, filterOp, filterOperand) {
+  if (
+    op.charAt(1) !== filterOp.charAt(1) ||
+    MongoTypeComp._type(queryOperand) !== MongoTypeComp._type(filterOperand)
+  ) {
+    return false;
+  }
+  const cmp = MongoTypeComp._cmp(queryOperand, filterOperand);
+  const strictFilter = filterOp.length === 3;
+  const strictQuery = op.length === 3;
+  const sign = filterOp.charAt(1) === 'g' ? 1 : -1;
+  return sign * cmp > 0 || (cmp === 0 && (strictQuery || !strictFilter));
+}
+
+/**
+ * Returns true if any document matching the query value
+ * selector also matches given filter value selector. Filter
+ * selector is an equality or an object with one operator
+ * allowed in a partial filter of an index.
+ * @param  {Mixed} querySelector
+ * @param  {Mixed} filterSelector
+ * @return {Boolean}
+ */
+function selectorImplies(querySelector, filterSelector) {
+  // A field matches an equality when it is equal to the value
+  // or is an array containing the value, so both cases checked.
+  // An equality to null also matches a missing field, which
+  // can't be checked by a value, so it never implies a filter
+  const filterMatcher = new DocumentMatcher({ x: filterSelector });
+  const matchesFilter = (value) => !isNullValue(value) &&
+    filterMatcher.documentMatches({ x: value }).result &&
+    filterMatcher.documentMatches({ x: [value] }).result;
+
+  if (EJSON.equals(querySelector, filterSelector)) {
+    return true;
+  } else if (querySelector instanceof RegExp) {
+    return false;
+  } else if (!isOperatorObject(querySelector, true)) {
+    return matchesFilter(querySelector);
+  }
+
+  const inOperand = querySelector.$in;
+  if (
+    _check.array(inOperand) && inOperand.length > 0 &&
+    _every(inOperand, x => !(x instanceof RegExp) && !isOperatorObject(x, true)) &&
+    _every(inOperand, matchesFilter)
+  ) {
+    return true;
+  }
+
+  const filterOp = isOperatorObject(filterSelector, true) && _keys(filterSelector)[0];
+  if (filterOp === '$exists') {
+    return _some(_keys(querySelector), (op) => {
+      const operand = querySelector[op];
+      return (RANGE_OPERATORS.indexOf(op) >= 0 && !isNullValue(operand)) ||
+        (op === '$all' && _check.array(operand) && operand.length > 0) ||
+        op === '$elemMatch';
+    });
+  } else if (RANGE_OPERATORS.indexOf(filterOp) >= 0) {
+    return _some(_keys(querySelector), (op) =>
+      RANGE_OPERATORS.indexOf(op) >= 0 &&
+      rangeImplies(op, querySelector[op], filterOp, filterSelector[filterOp])
+    );
+  }
+  return false;
+}
+
+/**
+ * Returns true if every document matching the query also
+ * matches the partial filter of an index. Each condition of
+ * the filter must be implied by some selector of the query.
+ * @param  {Object} fieldSelectors
+ * @param  {Object} filter
+ * @return {Boolean}
+ */
+function queryImpliesFilter(fieldSelectors, filter) {
+  const filterSelectors = collectFieldSelectors(filter);
+  return _every(_keys(filterSelectors), (path) =>
+    _every(filterSelectors[path], (filterSelector) => {
+      const conditions = isOperatorObject(filterSelector, true)
+        ? _map(_keys(filterSelector), op => ({ [op]: filterSelector[op] }))
+        : [filterSelector];
+      return _every(conditions, (condition) =>
+        _some(fieldSelectors[path] || [], q => selectorImplies(q, condition))
+      );
+    })
+  );
+}
+
+
+/**
+ * Class for choosing an optimal way to retrive documents
+ * for a query. It analyzes a selector and uses indexes
+ * of the collection to get a list of candidate ids.
+ * A plan is an object with `type` field:
+ *   - `ids` when query contains only ids (`ids` field)
+ *   - `index` when some index used (`index` name and `ids` fields)
+ *   - `fullScan` when all documents should be scanned
+ * Candidates is a superset of matching documents, so
+ * it must be filtered by DocumentMatcher anyway.
+ * Sparse index is not used for selectors that may match
+ * a missing field and partial index is used only when
+ * the query implies its filter.
+ * Query with `$text` operator always uses the text index
+ * of the collection and can't be planned without it.
+ * Query with `$near` uses a geo index of the field (if any)
+ * and ids of such plan ordered by distance (`sortedByDistance`).
+ */
+export class QueryPlanner {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Make a plan for given query. With `options.sort` (a list
+   * of `{path, ascending}` objects) it also tries to find an
+   * index to get ids in sort order. It is done only when all
+   * documents should be scanned or when not all candidates
+   * needed because of `options.limit`. In this case the plan
+   * has a `sortIndex` field with name of the index, and ids
+   * ordered according to the sort. An index which first fields
+   * fixed by equalities of the query (see `getSortIndex`) is
+   * always used for the sort, because only ids with the same
+   * values of the fields retrived from the index. A query with
+   * `$near` never uses a sort index, because documents with the
+   * same sort keys ordered by distance, and with `options.sort`
+   * all near documents used (not only `options.limit` nearest).
+   *
+   * With `options.hint` (a name of an index) the plan always
+   * uses the index, even if the index can't be used for
+   * the query (all ids from the index used in this case).
+   * Hint `{$natural: 1}` forces a full scan.
+   *
+   * With `options.collation` (see Collation) an index with other
+   * collation is used only for selectors without strings, and
+   * it is never used for sorting.
+   * @param  {Object} query
+   * @param  {Array}  options.sort
+   * @param  {Number} options.limit
+   * @param  {String|Object} options.hint
+   * @param  {Collation} options.collation
+   * @return {Object}
+   */
+  plan(query, options = {}) {
+    const collation = options.collation || null;
+    const bestPlan = this._planText(query) || (options.hint
+      ? this._planWithHint(query, options.hint, collation)
+      : this._planNear(query, options) || this._planQuery(query, { collation }));
+    const sortIndex = options.sort && !isNaturalHint(options.hint) &&
+      !hasNearSelector(query) && this.getSortIndex(options.sort, options.hint, collation, getEqualityValues(query));
+    if (
+      !sortIndex || (!sortIndex.prefix && bestPlan.ids &&
+      !(options.limit && options.limit < bestPlan.ids.length))
+    ) {
+      return bestPlan;
+    }
+
+    const index = this.db.indexes[sortIndex.index];
+    let ids;
+    if (sortIndex.prefix) {
+      ids = index.getBetweenBounds({}, sortIndex.prefix);
+      if (sortIndex.reverse) {
+        ids.reverse();
+      }
+    } else {
+      ids = index.getAll({ reverse: sortIndex.reverse });
+    }
+    if (bestPlan.ids) {
+      const candidates = new Set(bestPlan.ids);
+      ids = _filter(ids, id => candidates.has(id));
+    }
+
+    return {
+      ...bestPlan,
+      type: bestPlan.type === 'fullScan' ? 'index' : bestPlan.type,
+      index: bestPlan.index || sortIndex.index,
+      sortIndex: sortIndex.index,
+      ids,
+    };
+  }
+
+  /**
+   * Returns an index which could be used to iterate all
+   * documents in order of given sort specification (a list
+   * of `{path, ascending}` objects). Index order may be used
+   * as is or in reversed order. Returns null if there is no
+   * such index. Multikey, sparse and partial indexes can't
+   * be used because they not contain exactly one key for
+   * each document. With `onlyIndex` only an index with
+   * this name is considered. Index should have the same
+   * collation as given one.
+   *
+   * First fields of a compound index may be skipped if they
+   * are fixed by `equalities` (an object with a value for each
+   * field fixed by an equality selector), because only documents
+   * with the values are matched. Values of skipped fields returned
+   * in `prefix` of the result in this case.
+   * @param  {Array} sortParts
+   * @param  {String} onlyIndex
+   * @param  {Collation} collation
+   * @param  {Object} equalities
+   * @return {Object}
+   */
+  getSortIndex(sortParts, onlyIndex, collation = null, equalities = {}) {
+    if (!sortParts.length || _some(sortParts, part => part.meta)) {
+      return null;
+    }
+
+    let res = null;
+    _each(this.db.indexes || {}, (index, name) => {
+      if (
+        res || (onlyIndex && onlyIndex !== name) || index.buildPromise ||
+        index.type || index.multikey || index.sparse ||
+        index.partialFilterExpression ||
+        index.fields.length < sortParts.length ||
+        !isSameCollation(index.collation, collation)
+      ) {
+        return;
+      }
+
+      const fields = index.fields;
+      for (let p = 0; p + sortParts.length <= fields.length; p++) {
+        const reverse = fields[p].ascending !== sortParts[0].ascending;
+        const matched = _every(sortParts, (part, i) =>
+          part.path === fields[p + i].path &&
+          (part.ascending === fields[p + i].ascending) !== reverse
+        );
+        if (matched) {
+          res = { index: name, reverse };
+          if (p > 0) {
+            res.prefix = _map(fields.slice(0, p), f => equalities[f.path]);
+          }
+          return;
+        }
+        if (!equalities.hasOwnProperty(fields[p].path)) {
+          return;
+        }
+      }
+    });
+    return res;
+  }
+
+  /**
+   * Returns a list of ids of documents matching the query if it
+   * could be answered only by indexes, without retriving and
+   * matching documents. Otherwise returns null.
+   * @param  {Object} query
+   * @param  {Collation} options.collation
+   * @return {Array}
+   */
+  getCoveredIds(query, options = {}) {
+    const collation = options.collation || null;
+    const idIndex = (this.db.indexes || {})._id;
+    if (!idIndex || idIndex.buildPromise) {
+      return null;
+    }
+
+    // Query without any selector matches all documents
+    if (
+      query === undefined || query === null ||
+      (_check.object(query) && _keys(query).length === 0)
+    ) {
+      return idIndex.getAll();
+    }
+
+    // Query only by ids matches existing documents with the ids
+    const selectorIds = getSelectorIds(query);
+    if (
+      _check.array(selectorIds) &&
+      !(collation && _some(selectorIds, id => typeof id === 'string')) &&
+      (selectorIsId(query) || (
+        _keys(query).length === 1 && (
+          !isOperatorObject(query._id) || _keys(query._id).length === 1
+        )
+      ))
+    ) {
+      return uniqueIds(_filter(selectorIds, id =>
+        idIndex.getMatching(id).length > 0
+      ));
+    }
+
+    if (!_check.object(query) || !hasOnlyFieldSelectors(query)) {
+      return null;
+    }
+    const plan = this._planQuery(query, { withCoverage: true, collation });
+    return plan.covered ? plan.ids : null;
+  }
+
+  /**
+   * Returns the text index of the collection or null
+   * if there is no text index
+   * @return {TextIndex}
+   */
+  getTextIndex() {
+    let res = null;
+    _each(this.db.indexes || {}, (index) => {
+      if (index.type === 'text') {
+        res = index;
+      }
+    });
+    return res;
+  }
+
+  _planText(query) {
+    if (!_check.object(query) || !query.hasOwnProperty('$text')) {
+      return null;
+    }
+
+    const index = this.getTextIndex();
+    invariant(
+      index,
+      'text index required for $text query'
+    );
+    invariant(
+      !index.buildPromise,
+      'text index "%s" is not built yet',
+      index.name
+    );
+
+    const search = index.parseSearch((query.$text && query.$text.$search) || '');
+    return {
+      type: 'index',
+      index: index.name,
+      ids: index.getCandidateIds(search),
+    };
+  }
+
+  _planNear(query, options = {}) {
+    if (!_check.object(query)) {
+      return null;
+    }
+
+    let res = null;
+    const fieldSelectors = collectFieldSelectors(query);
+    _each(this.db.indexes || {}, (index, name) => {
+      const selectors = fieldSelectors[index.fieldName];
+      if (res || !isGeoIndexType(index.type) || index.buildPromise || !selectors) {
+        return;
+      }
+
+      _each(selectors, (valueSelector) => {
+        if (res || !isOperatorObject(valueSelector) || valueSelector.$near === undefined) {
+          return;
+        }
+        const near = valueSelector.$near;
+        const isGeoJSON = isPlainObject(near) && near.hasOwnProperty('$geometry');
+        if (
+          isGeoJSON !== (index.type === '2dsphere') ||
+          (isGeoJSON && (!near.$geometry || near.$geometry.type !== 'Point'))
+        ) {
+          return;
+        }
+
+        // Only nearest documents needed when there is no other
+        // selectors in the query and no sorting by other fields
+        const onlyNear = _keys(query).length === 1 && selectors.length === 1 &&
+          !(options.sort && options.sort.length);
+        res = {
+          type: 'index',
+          index: name,
+          sortedByDistance: true,
+          ids: index.getNear(isGeoJSON ? near.$geometry : near, {
+            maxDistance: isGeoJSON ? near.$maxDistance : valueSelector.$maxDistance,
+            limit: onlyNear ? options.limit : undefined,
+          }),
+        };
+      });
+    });
+    return res;
+  }
+
+  _planWithHint(query, hint, collation) {
+    if (isNaturalHint(hint)) {
+      return { type: 'fullScan' };
+    }
+
+    const index = (this.db.indexes || {})[hint];
+    invariant(
+      index,
+      'hint(...): index "%s" does not exist',
+      hint
+    );
+
+    const selector = selectorIsId(query) ? { _id: query } : query;
+    const fieldSelectors = _check.object(selector) && !index.type
+      ? collectFieldSelectors(selector) : null;
+    const ids = fieldSelectors &&
+      isCollationCompatible(index, fieldSelectors, collation)
+      ? getIdsFromFieldSelectors(index, fieldSelectors)
+      : null;
+    return {
+      type: 'index',
+      index: hint,
+      ids: ids !== null ? ids : index.getAll(),
+    };
+  }
+
+  _planQuery(query, options = {}) {
+    const collation = options.collation || null;
+    const selectorIds = getSelectorIds(query);
+    if (
+      _check.array(selectorIds) && selectorIds.length > 0 &&
+      !(collation && _some(selectorIds, id => typeof id === 'string'))
+    ) {
+      return { type: 'ids', ids: selectorIds };
+    }
+
+    let bestPlan = { type: 'fullScan' };
+    if (!_check.object(query)) {
+      return bestPlan;
+    }
+
+    const indexes = this.db.indexes || {};
+    const fieldSelectors = collectFieldSelectors(query);
+    _each(indexes, (index, name) => {
+      if (index.buildPromise || index.type || (
+        index.partialFilterExpression &&
+        !queryImpliesFilter(fieldSelectors, index.partialFilterExpression)
+      ) || !isCollationCompatible(index, fieldSelectors, collation)) {
+        return;
+      }
+
+      const ids = getIdsFromFieldSelectors(index, fieldSelectors);
+      if (ids !== null && (!bestPlan.ids || ids.length < bestPlan.ids.length)) {
+        bestPlan = { type: 'index', index: name, ids };
+        if (options.withCoverage) {
+          bestPlan.covered = isCoveredByIndex(index, fieldSelectors);
+        }
+      }
+    });
+
+    return bestPlan;
+  }
+}
+
+export default QueryPlanner;
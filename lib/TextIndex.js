@@ -0,0 +1,305 @@
+import _check from 'check-types';
+import _each from 'fast.js/forEach';
+import _every from 'fast.js/array/every';
+import _some from 'fast.js/array/some';
+import _keys from 'fast.js/object/keys';
+import _map from 'fast.js/map';
+import invariant from 'invariant';
+import TextTokenizer from './TextTokenizer';
+
+
+// Internals
+const WILDCARD_FIELD = '$**';
+
+// Collects all strings from given value, including strings
+// in arrays and (with `deep`) in nested objects
+function collectStrings(value, res, deep) {
+  if (typeof value === 'string') {
+    res.push(value);
+  } else if (_check.array(value)) {
+    _each(value, x => collectStrings(x, res, deep));
+  } else if (deep && _check.object(value)) {
+    _each(_keys(value), (key) => {
+      if (key !== '_id') {
+        collectStrings(value[key], res, deep);
+      }
+    });
+  }
+  return res;
+}
+
+// Returns all strings by a dot-separated path. Arrays
+// on the path are traversed like in DocumentMatcher
+function getPathStrings(value, parts, res) {
+  if (!parts.length) {
+    return collectStrings(value, res, false);
+  } else if (_check.array(value)) {
+    _each(value, x => getPathStrings(x, parts, res));
+  } else if (_check.object(value)) {
+    getPathStrings(value[parts[0]], parts.slice(1), res);
+  }
+  return res;
+}
+
+
+/**
+ * Full-text index by one or many string fields of documents.
+ * Texts split to terms by TextTokenizer (lowercased, without stop
+ * words and stemmed) and for each term the index stores ids of
+ * documents containing it. Field name `$**` indexes all string
+ * fields of a document. Relevance of each field could be
+ * changed by `weights` option, like `{title: 10}` (1 by default).
+ * Documents without any text are not indexed.
+ *
+ * The index used for `$text` queries, and it also knows how to
+ * calculate relevance score of a document for a search.
+ */
+export class TextIndex {
+  constructor(options = {}) {
+    invariant(
+      options.fieldName,
+      'TextIndex(...): you must specify a "feildName" option'
+    );
+
+    const paths = _check.array(options.fieldName)
+      ? options.fieldName : [options.fieldName];
+    invariant(
+      paths.length > 0 && _every(paths, p => _check.nonEmptyString(p)),
+      'TextIndex(...): each field of a text index must be a non-empty string'
+    );
+
+    this.type = 'text';
+    this.fieldName = options.fieldName;
+    this.name = options.name || _map(paths, p => `${p}_text`).join('_');
+    this.weights = options.weights || {};
+    this.fields = _map(paths, path => ({
+      path,
+      ascending: true,
+      weight: this.weights[path] || 1,
+    }));
+    this.wildcard = _some(paths, p => p === WILDCARD_FIELD);
+    this.unique = false;
+    this.sparse = true;
+    this.partialFilterExpression = null;
+    this.tokenizer = new TextTokenizer(options);
+    this._options = options;
+    this.reset();
+  }
+
+  reset() {
+    this.multikey = false;
+    this._terms = new Map();
+    this._ids = new Set();
+  }
+
+  insert(doc) {
+    const terms = this._getDocumentTerms(doc);
+    if (!terms.size) {
+      return;
+    }
+    terms.forEach((term) => {
+      if (!this._terms.has(term)) {
+        this._terms.set(term, new Set());
+      }
+      this._terms.get(term).add(doc._id);
+    });
+    this._ids.add(doc._id);
+  }
+
+  remove(doc) {
+    const terms = this._getDocumentTerms(doc);
+    if (!terms.size) {
+      return;
+    }
+    terms.forEach((term) => {
+      const ids = this._terms.get(term);
+      if (ids) {
+        ids.delete(doc._id);
+        if (!ids.size) {
+          this._terms.delete(term);
+        }
+      }
+    });
+    this._ids.delete(doc._id);
+  }
+
+  update(oldDoc, newDoc) {
+    if (oldDoc) {
+      this.remove(oldDoc);
+    }
+    this.insert(newDoc);
+  }
+
+  revertUpdate(oldDoc, newDoc) {
+    this.remove(newDoc);
+    if (oldDoc) {
+      this.insert(oldDoc);
+    }
+  }
+
+  /**
+   * Returns a list of ids of documents containing
+   * given term (already tokenized)
+   * @param  {String} term
+   * @return {Array}
+   */
+  getMatching(term) {
+    const ids = this._terms.get(term);
+    return ids ? Array.from(ids) : [];
+  }
+
+  /**
+   * Returns ids of all indexed documents
+   * @return {Array}
+   */
+  getAll() {
+    return Array.from(this._ids);
+  }
+
+  /**
+   * Parse `$search` string with the tokenizer of the index
+   * (see `TextTokenizer#parseSearch`)
+   * @param  {String} search
+   * @return {Object}
+   */
+  parseSearch(search) {
+    return this.tokenizer.parseSearch(search);
+  }
+
+  /**
+   * Returns ids of documents containing any term of
+   * given parsed search. It is a superset of documents
+   * matching the search.
+   * @param  {Object} search
+   * @return {Array}
+   */
+  getCandidateIds(search) {
+    const res = new Set();
+    _each(search.terms, (term) => {
+      const ids = this._terms.get(term);
+      if (ids) {
+        ids.forEach(id => res.add(id));
+      }
+    });
+    return Array.from(res);
+  }
+
+  /**
+   * Returns relevance score of the document for given parsed
+   * search, or 0 if the document does not match the search.
+   * Document matches if it contains some term of the search,
+   * all phrases and no negated terms or phrases.
+   * Like in MongoDB, the score of a term in a field is
+   * weighted and depends on the number of occurrences of
+   * the term and on the number of terms in the field.
+   * @param  {Object} doc
+   * @param  {Object} search
+   * @return {Number}
+   */
+  scoreDocument(doc, search) {
+    const texts = this._getFieldTexts(doc);
+    const lowerTexts = _map(texts, t => t.text.toLowerCase());
+    const hasPhrase = (phrase) => _some(lowerTexts, t => t.indexOf(phrase) >= 0);
+    if (
+      !_every(search.phrases, hasPhrase) ||
+      _some(search.negatedPhrases, hasPhrase)
+    ) {
+      return 0;
+    }
+
+    let score = 0;
+    let negated = false;
+    _each(texts, ({text, weight}) => {
+      const tokens = this.tokenizer.tokenize(text);
+      const counts = new Map();
+      _each(tokens, (token) => {
+        counts.set(token, (counts.get(token) || 0) + 1);
+      });
+
+      negated = negated || _some(search.negatedTerms, t => counts.has(t));
+      _each(search.terms, (term) => {
+        const count = counts.get(term);
+        if (count) {
+          const freq = 2 - Math.pow(2, 1 - count);
+          const coeff = 0.5 * count / tokens.length + 0.5;
+          score += weight * freq * coeff;
+        }
+      });
+    });
+
+    return negated ? 0 : score;
+  }
+
+  /**
+   * Returns options of the index which is enough for
+   * creating the same index
+   * @return {Object}
+   */
+  getDefinition() {
+    return {
+      fieldName: this.fieldName,
+      name: this.name,
+      type: this.type,
+      weights: this.weights,
+      stopWords: this._options.stopWords || null,
+      stemming: this.tokenizer.stemming,
+    };
+  }
+
+  /**
+   * Returns an EJSON-compatible object with all terms
+   * of the index, that could be loaded by `load`
+   * @return {Object}
+   */
+  serialize() {
+    const entries = [];
+    this._terms.forEach((ids, term) => {
+      entries.push({ k: term, v: Array.from(ids) });
+    });
+    return {
+      definition: this.getDefinition(),
+      ids: Array.from(this._ids),
+      entries,
+    };
+  }
+
+  /**
+   * Replace all terms of the index with terms from
+   * an object returned by `serialize`
+   * @param  {Object} data
+   */
+  load(data) {
+    this.reset();
+    _each(data.entries, (entry) => {
+      this._terms.set(entry.k, new Set(entry.v));
+    });
+    this._ids = new Set(data.ids);
+  }
+
+  _getFieldTexts(doc) {
+    const res = [];
+    if (this.wildcard) {
+      _each(collectStrings(doc, [], true), (text) => {
+        res.push({ text, weight: 1 });
+      });
+    } else {
+      _each(this.fields, (field) => {
+        const strings = getPathStrings(doc, field.path.split('.'), []);
+        if (strings.length) {
+          res.push({ text: strings.join(' '), weight: field.weight });
+        }
+      });
+    }
+    return res;
+  }
+
+  _getDocumentTerms(doc) {
+    const res = new Set();
+    _each(this._getFieldTexts(doc), ({text}) => {
+      _each(this.tokenizer.tokenize(text), term => res.add(term));
+    });
+    return res;
+  }
+}
+
+export default TextIndex;
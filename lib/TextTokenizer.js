@@ -0,0 +1,164 @@
+import _each from 'fast.js/forEach';
+import _filter from 'fast.js/array/filter';
+
+
+// Internals
+const DEFAULT_STOP_WORDS = [
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an',
+  'and', 'any', 'are', 'as', 'at', 'be', 'because', 'been', 'before',
+  'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could', 'did',
+  'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from',
+  'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers',
+  'herself', 'him', 'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is',
+  'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'myself', 'no',
+  'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other',
+  'our', 'ours', 'ourselves', 'out', 'over', 'own', 'same', 'she', 'should',
+  'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them',
+  'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through',
+  'to', 'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what',
+  'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with',
+  'would', 'you', 'your', 'yours', 'yourself', 'yourselves',
+];
+
+const WORD_SEPARATOR = /[^a-z0-9\u00c0-\uffff]+/;
+const APOSTROPHES = /['\u2019]/g;
+const SEARCH_TOKEN = /(-?)"([^"]*)"|(-?)([^\s"]+)/g;
+
+function uniqueWords(words) {
+  const seen = new Set();
+  return _filter(words, (word) => {
+    const res = !seen.has(word);
+    seen.add(word);
+    return res;
+  });
+}
+
+function endsWithDoubleConsonant(word) {
+  const last = word.charAt(word.length - 1);
+  return last === word.charAt(word.length - 2) &&
+    'bdfgkmnprt'.indexOf(last) >= 0;
+}
+
+function stripSuffix(word, suffix, minLength) {
+  if (
+    word.length - suffix.length < minLength ||
+    word.substr(-suffix.length) !== suffix
+  ) {
+    return null;
+  }
+  return word.substr(0, word.length - suffix.length);
+}
+
+
+/**
+ * Splits a text to a list of terms for a text index. All words
+ * lowercased, stop words removed and the rest is stemmed by a
+ * simple suffix-stripping stemmer for English (`running` and
+ * `runs` both is `run`).
+ * Options:
+ *   - `stopWords` – list of words that is not indexed
+ *     (a list of common English words by default)
+ *   - `stemming` – set to false to index words as is
+ */
+export class TextTokenizer {
+  constructor(options = {}) {
+    this.stopWords = new Set(options.stopWords || DEFAULT_STOP_WORDS);
+    this.stemming = options.stemming !== false;
+  }
+
+  /**
+   * Returns a list of terms of given text in order of
+   * appearance. Terms may repeat.
+   * @param  {String} text
+   * @return {Array}
+   */
+  tokenize(text) {
+    const words = String(text).toLowerCase()
+      .replace(APOSTROPHES, '')
+      .split(WORD_SEPARATOR);
+
+    const res = [];
+    _each(words, (word) => {
+      if (word && !this.stopWords.has(word)) {
+        res.push(this.stem(word));
+      }
+    });
+    return res;
+  }
+
+  /**
+   * Returns a stem of given lowercased word
+   * @param  {String} word
+   * @return {String}
+   */
+  stem(word) {
+    if (!this.stemming || word.length <= 3) {
+      return word;
+    }
+
+    let res = stripSuffix(word, 'ies', 2);
+    if (res !== null) {
+      return `${res}y`;
+    }
+    res = stripSuffix(word, 'ing', 3) || stripSuffix(word, 'ed', 3);
+    if (res !== null) {
+      return endsWithDoubleConsonant(res) ? res.substr(0, res.length - 1) : res;
+    }
+    res = stripSuffix(word, 'ly', 3);
+    if (res !== null) {
+      return res;
+    }
+    if (/(ss|x|ch|sh|z)es$/.test(word)) {
+      return word.substr(0, word.length - 2);
+    }
+    if (/[^su]s$/.test(word)) {
+      return word.substr(0, word.length - 1);
+    }
+    return word;
+  }
+
+  /**
+   * Parse a `$search` string of `$text` operator. Returns
+   * an object with lists of terms and phrases (in double quotes),
+   * and lists of negated (prefixed with `-`) terms and phrases.
+   * Words of phrases also included to `terms`.
+   * @param  {String} search
+   * @return {Object}
+   */
+  parseSearch(search) {
+    const res = {
+      terms: [],
+      phrases: [],
+      negatedTerms: [],
+      negatedPhrases: [],
+    };
+
+    let match;
+    SEARCH_TOKEN.lastIndex = 0;
+    while ((match = SEARCH_TOKEN.exec(search)) !== null) {
+      if (match[2] !== undefined) {
+        const phrase = match[2].toLowerCase().trim();
+        if (phrase) {
+          if (match[1]) {
+            res.negatedPhrases.push(phrase);
+          } else {
+            res.phrases.push(phrase);
+            res.terms.push(...this.tokenize(phrase));
+          }
+        }
+      } else if (match[3]) {
+        res.negatedTerms.push(...this.tokenize(match[4]));
+      } else {
+        res.terms.push(...this.tokenize(match[4]));
+      }
+    }
+
+    res.terms = uniqueWords(res.terms);
+    res.negatedTerms = uniqueWords(res.negatedTerms);
+    res.phrases = uniqueWords(res.phrases);
+    res.negatedPhrases = uniqueWords(res.negatedPhrases);
+    return res;
+  }
+}
+
+export default TextTokenizer;
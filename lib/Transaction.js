@@ -0,0 +1,424 @@
+import _each from 'fast.js/forEach';
+import _map from 'fast.js/map';
+import invariant from 'invariant';
+import EventEmitter from 'eventemitter3';
+import PromiseQueue from './PromiseQueue';
+import Cursor from './Cursor';
+import DocumentModifier from './DocumentModifier';
+import DuplicateKeyError from './DuplicateKeyError';
+import EJSON from './EJSON';
+
+
+// Internals
+const TX_STATE = {
+  ACTIVE: 'active',
+  COMMITTED: 'committed',
+  ROLLED_BACK: 'rolled_back',
+};
+
+// Commits executed one by one, so two commits never
+// wait for write queues held by each other
+const _commitQueue = new PromiseQueue(1);
+
+// Take a slot of a queue by given add function and resolve
+// with a function that releases the slot
+function holdQueue(add) {
+  return new Promise((resolve) => {
+    add(() => new Promise(release => resolve(release)));
+  });
+}
+
+// Storage of a collection with documents changed by a transaction
+// (`docs`, null for removed ones) on top of it. Supports only
+// reading methods used by DocumentRetriver
+class OverlayStorage {
+  constructor(storage, docs) {
+    this.storage = storage;
+    this.docs = docs;
+  }
+
+  get(key) {
+    return this.docs.has(key)
+      ? Promise.resolve(this.docs.get(key) || undefined)
+      : this.storage.get(key);
+  }
+
+  createReadStream() {
+    let paused = false;
+    const emitter = new EventEmitter();
+    emitter.pause = () => paused = true;
+
+    this.storage.createReadStream().on('data', (data) => {
+      if (!paused && !(data.value && this.docs.has(data.value._id))) {
+        emitter.emit('data', data);
+      }
+    }).on('end', () => {
+      this.docs.forEach((doc) => {
+        if (doc && !paused) {
+          emitter.emit('data', { value: doc });
+        }
+      });
+      if (!paused) {
+        emitter.emit('end');
+      }
+    });
+    return emitter;
+  }
+}
+
+
+/**
+ * Group of writes to one or many collections, which applied
+ * all together or not applied at all. Created by
+ * `Collection.transaction`.
+ *
+ * Writes of a transaction executed one by one and buffered in
+ * the transaction, so usual reads of collections do not see them
+ * until commit. Reads by `find` and `findOne` of the transaction
+ * see the buffered writes (they don't use indexes, except fast
+ * path by `_id`, and `$text` queries are not supported).
+ * On commit write queues of all touched collections taken and all
+ * changes applied to indexes and storages. Commit rejected and
+ * nothing applied if some document changed by the transaction
+ * was changed outside of it after the transaction read it, or if
+ * some change can't be applied (unique constraint violated,
+ * for example). Events `insert`, `update`, `remove` (and `sync:*`
+ * events) emitted only when the transaction committed. `before*`
+ * events emitted right before each write, like for usual writes.
+ * Rollback just drops buffered writes.
+ */
+export class Transaction {
+  constructor() {
+    this._state = TX_STATE.ACTIVE;
+    this._queue = new PromiseQueue(1);
+    this._collections = new Map();
+    this._events = [];
+  }
+
+  get state() {
+    return this._state;
+  }
+
+  /**
+   * Insert a document into the collection within the transaction
+   * @param  {Collection} collection
+   * @param  {Object} doc
+   * @param  {Object} options
+   * @return {Promise}
+   */
+  insert(collection, doc, options = {}) {
+    return this._queueWrite(collection, () => {
+      const randomId = collection.idGenerator(collection.modelName);
+      doc = collection.create(doc);
+      doc._id = doc._id || randomId.value;
+
+      collection.emit('beforeInsert', doc, randomId);
+      return this._getView(collection).storage.get(doc._id).then((existing) => {
+        if (existing) {
+          throw new DuplicateKeyError('_id', doc._id);
+        }
+        this._setDocument(collection, doc, null);
+        if (!options.quiet) {
+          this._addEvent(collection, 'sync:insert', doc, randomId);
+        }
+        this._addEvent(collection, 'insert', doc, null, randomId);
+        return doc._id;
+      });
+    });
+  }
+
+  /**
+   * Update documents of the collection within the transaction.
+   * Arguments and result are the same as in `Collection#update`.
+   * @param  {Collection} collection
+   * @param  {Object} query
+   * @param  {Object} modifier
+   * @param  {Object} options
+   * @return {Promise}
+   */
+  update(collection, query, modifier, options = {}) {
+    return this._queueWrite(collection, () => {
+      const {sort = {_id: 1}, multi = false, upsert = false} = options;
+      const randomId = upsert
+        ? collection.idGenerator(collection.modelName) : undefined;
+
+      collection.emit('beforeUpdate', query, modifier, options);
+      return this._findForWrite(collection, query, sort, multi).then((docs) => {
+        return new DocumentModifier(query).modify(docs, modifier, {
+          upsert,
+          upsertId: randomId && randomId.value,
+        });
+      }).then(({original, updated}) => {
+        if (!options.quiet) {
+          this._addEvent(collection, 'sync:update', query, modifier, options, randomId);
+        }
+        _each(updated, (d, i) => {
+          this._setDocument(collection, d, original[i]);
+          if (original[i] === null) {
+            this._addEvent(collection, 'insert', d, null, randomId);
+          } else {
+            this._addEvent(collection, 'update', d, original[i]);
+          }
+        });
+
+        const res = { modified: updated.length, original, updated };
+        if (updated.length && original[0] === null) {
+          res.upsertedId = updated[0]._id;
+        }
+        return res;
+      });
+    });
+  }
+
+  /**
+   * Remove documents from the collection within the transaction.
+   * Arguments and result are the same as in `Collection#remove`.
+   * @param  {Collection} collection
+   * @param  {Object} query
+   * @param  {Object} options
+   * @return {Promise}
+   */
+  remove(collection, query, options = {}) {
+    return this._queueWrite(collection, () => {
+      const {sort = {_id: 1}, multi = false} = options;
+      collection.emit('beforeRemove', query, options);
+      return this._findForWrite(collection, query, sort, multi).then((removedDocs) => {
+        if (!options.quiet) {
+          this._addEvent(collection, 'sync:remove', query, options);
+        }
+        _each(removedDocs, (d) => {
+          this._setDocument(collection, null, d);
+          this._addEvent(collection, 'remove', null, d);
+        });
+        return removedDocs;
+      });
+    });
+  }
+
+  /**
+   * Returns a cursor for documents of the collection
+   * with writes of the transaction
+   * @param  {Collection} collection
+   * @param  {Object} query
+   * @param  {Object} options
+   * @return {Cursor}
+   */
+  find(collection, query, options = {}) {
+    this._checkActive();
+    return new Cursor(this._getView(collection), query, options);
+  }
+
+  /**
+   * Finds one document of the collection with writes
+   * of the transaction (see `find`)
+   * @param  {Collection} collection
+   * @param  {Object} query
+   * @param  {Object} options
+   * @return {Cursor}
+   */
+  findOne(collection, query, options = {}) {
+    return this.find(collection, query, options)
+      .aggregate(docs => docs[0])
+      .limit(1);
+  }
+
+  /**
+   * Apply all writes of the transaction and emit their events.
+   * Waits for all started writes. If writes can't be applied
+   * the transaction rolled back and returned promise rejected.
+   * @return {Promise}
+   */
+  commit() {
+    this._checkActive();
+    return this._queue.add(() => {
+      const collections = Array.from(this._collections.keys());
+      return _commitQueue.add(() => this._applyAll(collections)).then(() => {
+        this._state = TX_STATE.COMMITTED;
+        const events = this._events;
+        this._reset();
+        _each(events, ({collection, args}) => {
+          collection.emit(...args);
+        });
+      }, (e) => {
+        this._state = TX_STATE.ROLLED_BACK;
+        this._reset();
+        throw e;
+      });
+    });
+  }
+
+  /**
+   * Drop all writes of the transaction and finish
+   * the transaction. No events emitted.
+   * @return {Promise}
+   */
+  rollback() {
+    this._checkActive();
+    return this._queue.add(() => {
+      this._state = TX_STATE.ROLLED_BACK;
+      this._reset();
+    });
+  }
+
+  /**
+   * Execute given function with the transaction and commit the
+   * transaction when the function finished (returned promise
+   * resolved). If the function thrown an error the transaction
+   * rolled back and returned promise rejected with the error.
+   * @param  {Function} fn
+   * @return {Promise}
+   */
+  run(fn) {
+    return Promise.resolve().then(() => fn(this)).then(
+      (res) => this.commit().then(() => res),
+      (e) => this.rollback().then(() => {
+        throw e;
+      })
+    );
+  }
+
+  // Take write queues of all given collections and apply changes
+  // of each collection. If some collection failed, applied changes
+  // reverted, and the error rejected (with `revertError` if
+  // reverting failed too)
+  _applyAll(collections) {
+    const releases = [];
+    const holdFrom = (i) => {
+      if (i >= collections.length) {
+        return Promise.resolve();
+      }
+      const delegate = collections[i].delegate;
+      return holdQueue(fn => delegate.queueWrite(fn)).then((release) => {
+        releases.push(release);
+        return holdFrom(i + 1);
+      });
+    };
+    const releaseAll = () => _each(releases, release => release());
+
+    const applied = [];
+    const applyFrom = (i) => {
+      if (i >= collections.length) {
+        return Promise.resolve();
+      }
+      const collection = collections[i];
+      const {ids, original, updated} = this._getChanges(collection);
+      return this._checkConflicts(collection, ids, original).then(() =>
+        collection.delegate._applyChanges(original, updated)
+      ).then(() => {
+        applied.push({ collection, original, updated });
+        return applyFrom(i + 1);
+      });
+    };
+    const revertApplied = (i) => {
+      if (i < 0) {
+        return Promise.resolve();
+      }
+      const {collection, original, updated} = applied[i];
+      return collection.delegate._applyChanges(updated, original)
+        .then(() => revertApplied(i - 1));
+    };
+
+    return holdFrom(0).then(() => applyFrom(0)).then(releaseAll, (e) =>
+      revertApplied(applied.length - 1).then(null, (revertError) => {
+        e.revertError = revertError;
+      }).then(() => {
+        releaseAll();
+        throw e;
+      })
+    );
+  }
+
+  // Reject if some document changed by the transaction is not
+  // the same in the storage as when the transaction read it
+  _checkConflicts(collection, ids, original) {
+    return Promise.all(_map(ids, id =>
+      collection.storageManager.get(id)
+    )).then((currentDocs) => {
+      _each(currentDocs, (current, i) => {
+        if (!EJSON.equals(collection.create(current) || null, original[i])) {
+          throw new Error(
+            `Transaction: document "${ids[i]}" of collection ` +
+            `"${collection.modelName}" changed outside of the transaction`
+          );
+        }
+      });
+    });
+  }
+
+  _getChanges(collection) {
+    const state = this._collections.get(collection);
+    const ids = [];
+    const original = [];
+    const updated = [];
+    state.docs.forEach((doc, id) => {
+      const originalDoc = state.original.get(id);
+      if (doc || originalDoc) {
+        ids.push(id);
+        original.push(originalDoc);
+        updated.push(doc);
+      }
+    });
+    return { ids, original, updated };
+  }
+
+  _findForWrite(collection, query, sort, multi) {
+    return this.find(collection, query).sort(sort).then((docs) =>
+      docs.length > 1 && !multi ? [docs[0]] : docs
+    );
+  }
+
+  // Buffer a new version of a document (null for removed).
+  // Original version of a document kept for the commit
+  _setDocument(collection, doc, originalDoc) {
+    const state = this._getState(collection);
+    const id = (doc || originalDoc)._id;
+    if (!state.original.has(id)) {
+      state.original.set(id, originalDoc ? EJSON.clone(originalDoc) : null);
+    }
+    state.docs.set(id, doc ? EJSON.clone(doc) : null);
+  }
+
+  // Collection-like object for cursors, which reads documents
+  // from the storage with writes of the transaction
+  _getView(collection) {
+    return this._getState(collection).view;
+  }
+
+  _getState(collection) {
+    if (!this._collections.has(collection)) {
+      collection._lazyInitCollection();
+      const docs = new Map();
+      const view = Object.create(collection, {
+        indexes: { value: {} },
+        storage: { value: new OverlayStorage(collection.storageManager, docs) },
+      });
+      this._collections.set(collection, { docs, original: new Map(), view });
+    }
+    return this._collections.get(collection);
+  }
+
+  _queueWrite(collection, fn) {
+    this._checkActive();
+    collection._lazyInitCollection();
+    return this._queue.add(fn);
+  }
+
+  _addEvent(collection, ...args) {
+    this._events.push({ collection, args });
+  }
+
+  _reset() {
+    this._collections = new Map();
+    this._events = [];
+  }
+
+  _checkActive() {
+    invariant(
+      this._state === TX_STATE.ACTIVE,
+      'Transaction: the transaction is already %s',
+      this._state === TX_STATE.COMMITTED ? 'committed' : 'rolled back'
+    );
+  }
+}
+
+export default Transaction;
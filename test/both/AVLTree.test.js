@@ -0,0 +1,143 @@
+import AVLTree from '../../lib/AVLTree';
+import chai, {expect} from 'chai';
+chai.should();
+
+
+describe('AVLTree', () => {
+  const checkBalanced = (node) => {
+    if (!node) {
+      return 0;
+    }
+    const left = checkBalanced(node.left);
+    const right = checkBalanced(node.right);
+    Math.abs(left - right).should.be.below(2);
+    node.height.should.be.equal(Math.max(left, right) + 1);
+    return node.height;
+  };
+
+  const collectKeys = (tree, options) => {
+    const keys = [];
+    tree.forEach((key) => {
+      keys.push(key);
+    }, options);
+    return keys;
+  };
+
+  describe('#insert', function () {
+    it('should keep tree balanced on sequential inserts', function () {
+      const tree = new AVLTree();
+      for (let i = 0; i < 1000; i++) {
+        tree.insert(i, `id${i}`);
+      }
+      checkBalanced(tree.root);
+      tree.root.height.should.be.below(12);
+      tree.getNumberOfKeys().should.be.equal(1000);
+    });
+
+    it('should store multiple values for one key only once', function () {
+      const tree = new AVLTree();
+      tree.insert(1, 'a');
+      tree.insert(1, 'b');
+      tree.insert(1, 'a');
+      tree.search(1).should.be.deep.equal(['a', 'b']);
+      tree.getNumberOfKeys().should.be.equal(1);
+    });
+
+    it('should order keys of different types by MongoDB rules', function () {
+      const tree = new AVLTree();
+      const date = new Date(1);
+      tree.insert('b', 1);
+      tree.insert(date, 2);
+      tree.insert(null, 3);
+      tree.insert(2, 4);
+      tree.insert(undefined, 5);
+      tree.insert(true, 6);
+      tree.insert({a: 1}, 7);
+      collectKeys(tree).should.be.deep.equal(
+        [undefined, null, 2, 'b', {a: 1}, true, date]
+      );
+    });
+
+    it('should use custom keys comparator', function () {
+      const tree = new AVLTree({compareKeys: (a, b) => b - a});
+      tree.insert(1, 'a');
+      tree.insert(3, 'b');
+      tree.insert(2, 'c');
+      collectKeys(tree).should.be.deep.equal([3, 2, 1]);
+    });
+  });
+
+  describe('#delete', function () {
+    it('should delete only given value of the key', function () {
+      const tree = new AVLTree();
+      tree.insert(1, 'a');
+      tree.insert(1, 'b');
+      tree.delete(1, 'a');
+      tree.search(1).should.be.deep.equal(['b']);
+      tree.delete(1, 'c');
+      tree.search(1).should.be.deep.equal(['b']);
+    });
+
+    it('should delete the key without values and keep balance', function () {
+      const tree = new AVLTree();
+      for (let i = 0; i < 500; i++) {
+        tree.insert(i, i);
+      }
+      for (let i = 0; i < 500; i += 2) {
+        tree.delete(i, i);
+      }
+      for (let i = 499; i > 300; i -= 2) {
+        tree.delete(i, i);
+      }
+      checkBalanced(tree.root);
+      tree.getNumberOfKeys().should.be.equal(150);
+      tree.search(0).should.be.deep.equal([]);
+      tree.search(1).should.be.deep.equal([1]);
+      collectKeys(tree).should.have.length(150);
+    });
+
+    it('should do nothing if key not exists', function () {
+      const tree = new AVLTree();
+      tree.insert(1, 'a');
+      tree.delete(2, 'a');
+      tree.getNumberOfKeys().should.be.equal(1);
+    });
+  });
+
+  describe('#betweenBounds', function () {
+    const tree = new AVLTree();
+    for (let i = 0; i < 10; i++) {
+      tree.insert(i, `id${i}`);
+    }
+
+    it('should return values of keys in bounds', function () {
+      tree.betweenBounds({$gt: 3, $lte: 5}).should.be.deep.equal(['id4', 'id5']);
+      tree.betweenBounds({$gte: 3, $lt: 5}).should.be.deep.equal(['id3', 'id4']);
+      tree.betweenBounds({$gte: 8}).should.be.deep.equal(['id8', 'id9']);
+      tree.betweenBounds({$lt: 2}).should.be.deep.equal(['id0', 'id1']);
+      tree.betweenBounds({$gt: 5, $lt: 5}).should.be.deep.equal([]);
+      tree.betweenBounds({}).should.have.length(10);
+    });
+  });
+
+  describe('#forEach', function () {
+    const tree = new AVLTree();
+    for (let i = 0; i < 10; i++) {
+      tree.insert(i, i);
+    }
+
+    it('should traverse in reversed order', function () {
+      collectKeys(tree, {reverse: true, bounds: {$lt: 3}})
+        .should.be.deep.equal([2, 1, 0]);
+    });
+
+    it('should stop traversing when callback returns false', function () {
+      const keys = [];
+      tree.forEach((key) => {
+        keys.push(key);
+        return keys.length < 3;
+      });
+      keys.should.be.deep.equal([0, 1, 2]);
+    });
+  });
+});
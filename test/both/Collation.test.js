@@ -0,0 +1,79 @@
+import Collation, {makeCollation, isSameCollation} from '../../lib/Collation';
+import chai, {expect} from 'chai';
+chai.should();
+
+
+describe('Collation', () => {
+  describe('#constructor', function () {
+    it('should require a locale and a valid strength', function () {
+      (() => new Collation()).should.throw(Error);
+      (() => new Collation({locale: 'en', strength: 4})).should.throw(Error);
+      new Collation({locale: 'en'}).getDefinition().should.be.deep.equal({
+        locale: 'en', strength: 3, numericOrdering: false,
+      });
+    });
+  });
+
+  describe('#compare', function () {
+    it('should compare strings by strength', function () {
+      const primary = new Collation({locale: 'en', strength: 1});
+      primary.compare('apple', 'Äpple').should.be.equal(0);
+      const secondary = new Collation({locale: 'en', strength: 2});
+      secondary.compare('apple', 'Apple').should.be.equal(0);
+      secondary.compare('apple', 'äpple').should.not.be.equal(0);
+      const tertiary = new Collation({locale: 'en'});
+      tertiary.compare('apple', 'Apple').should.not.be.equal(0);
+      tertiary.compare('Apple', 'banana').should.be.below(0);
+    });
+
+    it('should compare numeric strings as numbers with numericOrdering', function () {
+      new Collation({locale: 'en'}).compare('10', '9').should.be.below(0);
+      new Collation({locale: 'en', numericOrdering: true})
+        .compare('10', '9').should.be.above(0);
+    });
+
+    it('should compare strings in arrays and objects', function () {
+      const collation = new Collation({locale: 'en', strength: 2});
+      collation.compare(['a', 'B'], ['A', 'b']).should.be.equal(0);
+      collation.compare({a: 'X'}, {a: 'x'}).should.be.equal(0);
+      collation.compare(['a'], ['a', 'b']).should.be.below(0);
+      collation.compare(1, 'a').should.be.below(0);
+      collation.compare(undefined, 'a').should.be.below(0);
+    });
+  });
+
+  describe('#equals', function () {
+    it('should check deep equality with the collation', function () {
+      const collation = new Collation({locale: 'en', strength: 2});
+      collation.equals('a', 'A').should.be.true;
+      collation.equals(['a', {b: 'C'}], ['A', {b: 'c'}]).should.be.true;
+      collation.equals({a: 'a', b: 1}, {b: 1, a: 'a'}).should.be.false;
+      collation.equals(['a'], ['a', 'b']).should.be.false;
+      collation.equals(new Date(1), new Date(1)).should.be.true;
+      collation.equals(null, undefined).should.be.false;
+    });
+  });
+
+  describe('#makeCollation', function () {
+    it('should return null for simple collation', function () {
+      expect(makeCollation()).to.be.null;
+      expect(makeCollation({locale: 'simple'})).to.be.null;
+      const collation = makeCollation({locale: 'fr'});
+      collation.should.be.instanceof(Collation);
+      makeCollation(collation).should.be.equal(collation);
+    });
+
+    it('should compare collations by definition', function () {
+      isSameCollation(null, null).should.be.true;
+      isSameCollation(makeCollation({locale: 'en'}), null).should.be.false;
+      isSameCollation(
+        makeCollation({locale: 'en', strength: 2}),
+        makeCollation({locale: 'en', strength: 2})
+      ).should.be.true;
+      isSameCollation(
+        makeCollation({locale: 'en', strength: 2}),
+        makeCollation({locale: 'en', strength: 1})
+      ).should.be.false;
+    });
+  });
+});
@@ -3,8 +3,12 @@ import Collection, { _resetStartup } from '../../lib/Collection';
 import StorageManager from '../../lib/StorageManager';
 import CursorObservable from '../../lib/CursorObservable';
 import CollectionDelegate from '../../lib/CollectionDelegate';
+import DuplicateKeyError from '../../lib/DuplicateKeyError';
+import IndexBuildError from '../../lib/IndexBuildError';
+import BulkWriteError from '../../lib/BulkWriteError';
 import chai, {expect} from 'chai';
 import sinon from 'sinon';
+import _ from 'lodash';
 chai.use(require('chai-as-promised'));
 chai.use(require('sinon-chai'));
 chai.should();
@@ -156,6 +160,100 @@ describe('Collection', () => {
   });
 
 
+  describe('#ensureIndex', function () {
+    it('should create an index and emit build progress', function () {
+      const db = new Collection('test');
+      const progress = sinon.spy();
+      return db.insertAll([{_id: '1', a: 1}, {_id: '2', a: 2}]).then(() => {
+        db.on('indexBuildProgress', progress);
+        return db.ensureIndex({fieldName: 'a'});
+      }).then(() => {
+        db.indexes.a.getMatching(2).should.be.deep.equal(['2']);
+        progress.should.have.callCount(2);
+        progress.firstCall.should.have.been.calledWith({index: 'a', processed: 0, total: 2});
+        progress.secondCall.should.have.been.calledWith({index: 'a', processed: 2, total: 2});
+      });
+    });
+
+    it('should reject with IndexBuildError with all failed documents', function () {
+      const db = new Collection('test');
+      return db.insertAll([
+        {_id: '1', a: 1}, {_id: '2', a: 1}, {_id: '3', a: 1}, {_id: '4', a: 2},
+      ]).then(() => {
+        return db.ensureIndex({fieldName: 'a', unique: true}).should.be.rejectedWith(IndexBuildError);
+      }).then(() => {
+        return db.ensureIndex({fieldName: 'a', unique: true, forceRebuild: true}).then(() => {
+          throw new Error('should be rejected');
+        }, (e) => {
+          e.index.should.be.equal('a');
+          e.message.should.contain('2 document(s)');
+          e.errors.should.have.length(2);
+          e.errors[0].cause.should.be.instanceof(DuplicateKeyError);
+          e.documents.should.have.length(2);
+          e.documents[0].a.should.be.equal(1);
+        });
+      }).then(() => {
+        db.indexes.should.not.have.property('a');
+      });
+    });
+
+    it('should reject ensuring an existing index with other options', function () {
+      const db = new Collection('test');
+      return db.insertAll([{_id: '1', a: 1}, {_id: '2'}]).then(() => {
+        return db.ensureIndex({fieldName: 'a', sparse: true});
+      }).then(() => {
+        return Promise.all([
+          db.ensureIndex({fieldName: 'a'}),
+          db.ensureIndex({fieldName: 'a', sparse: true, unique: false}),
+          db.ensureIndex({fieldName: '_id'}),
+          db.ensureIndex({fieldName: 'a', unique: true}).should.be.rejectedWith(/unique/),
+          db.ensureIndex({fieldName: 'a', sparse: false}).should.be.rejectedWith(/sparse/),
+          db.ensureIndex({fieldName: 'a', collation: {locale: 'en'}})
+            .should.be.rejectedWith(/collation/),
+          db.ensureIndex({fieldName: 'a', partialFilterExpression: {a: 1}})
+            .should.be.rejectedWith(/partialFilterExpression/),
+        ]);
+      }).then(() => {
+        db.indexes.a.sparse.should.be.true;
+        db.indexes.a.getAll().should.be.deep.equal(['1']);
+        return db.ensureIndex({fieldName: 'a', sparse: false, forceRebuild: true});
+      }).then(() => {
+        db.indexes.a.sparse.should.be.false;
+        db.indexes.a.getAll().should.have.members(['1', '2']);
+      });
+    });
+  });
+
+  describe('#dropIndex', function () {
+    it('should remove an index', function () {
+      const db = new Collection('test');
+      return db.ensureIndex({fieldName: 'a'}).then(() => {
+        return db.dropIndex('a');
+      }).then(() => {
+        db.indexes.should.not.have.property('a');
+        return Promise.all([
+          db.dropIndex('a').should.be.rejectedWith(/does not exist/),
+          db.dropIndex('_id').should.be.rejectedWith(Error),
+        ]);
+      }).then(() => {
+        db.indexes.should.have.property('_id');
+      });
+    });
+  });
+
+  describe('#listIndexes', function () {
+    it('should return definitions of built indexes', function () {
+      const db = new Collection('test');
+      db.ensureIndex({fieldName: ['a', ['b', -1]], name: 'ab', sparse: true});
+      return db.listIndexes().then((indexes) => {
+        indexes.should.have.length(2);
+        indexes[0].should.include({fieldName: '_id', name: '_id', unique: true});
+        indexes[1].should.include({name: 'ab', sparse: true});
+        indexes[1].fieldName.should.be.deep.equal(['a', ['b', -1]]);
+      });
+    });
+  });
+
   describe('#storage', function () {
     it('should return storage', function () {
       const db = new Collection('test');
@@ -212,6 +310,31 @@ describe('Collection', () => {
       db.insert({test: 'passed'}, {quiet: true});
     });
 
+    it('should reject a document with existing _id', function () {
+      const db = new Collection('test');
+      const cb = sinon.spy();
+      db.on('insert', cb);
+      return db.insert({_id: '1', a: 1}).then(() => {
+        return db.insert({_id: '1', a: 2}).should.be.rejectedWith(DuplicateKeyError);
+      }).then(() => {
+        cb.should.have.callCount(1);
+        return db.storage.get('1').should.eventually.deep.equal({_id: '1', a: 1});
+      });
+    });
+
+    it('should reject a document violating unique index', function () {
+      const db = new Collection('test');
+      db._lazyInitCollection();
+      return db.indexManager.ensureIndex({fieldName: 'a', unique: true}).then(() => {
+        return db.insert({_id: '1', a: 1});
+      }).then(() => {
+        return db.insert({_id: '2', a: 1}).should.be.rejectedWith(DuplicateKeyError);
+      }).then(() => {
+        db.indexes._id.getAll().should.be.deep.equal(['1']);
+        return db.storage.get('2').should.eventually.be.undefined;
+      });
+    });
+
     it('should be quiet if options.quiet passed', function () {
       const db = new Collection('test');
       const cb = sinon.spy();
@@ -365,7 +488,79 @@ describe('Collection', () => {
     });
 
     it('should update index of a doucmnet', function () {
-      // TODO
+      const db = new Collection('test');
+      db._lazyInitCollection();
+      return db.indexManager.ensureIndex({fieldName: 'a'}).then(() => {
+        return db.insertAll([{_id: '1', a: 1}, {_id: '2', a: 2}]);
+      }).then(() => {
+        return db.update({a: 1}, {$set: {a: 3}});
+      }).then(() => {
+        db.indexes.a.getMatching(1).should.be.deep.equal([]);
+        db.indexes.a.getMatching(3).should.be.deep.equal(['1']);
+      });
+    });
+
+    it('should reject an update violating unique index', function () {
+      const db = new Collection('test');
+      db._lazyInitCollection();
+      const cb = sinon.spy();
+      db.on('update', cb);
+      return db.indexManager.ensureIndex({fieldName: 'a', unique: true}).then(() => {
+        return db.insertAll([{_id: '1', a: 1}, {_id: '2', a: 2}, {_id: '3', a: 3}]);
+      }).then(() => {
+        return db.update({a: {$gte: 2}}, {$set: {a: 5}}, {multi: true})
+          .should.be.rejectedWith(DuplicateKeyError);
+      }).then(() => {
+        cb.should.have.callCount(0);
+        db.indexes.a.getAll().should.be.deep.equal(['1', '2', '3']);
+        return db.find({}).sort({_id: 1});
+      }).then((docs) => {
+        docs.should.be.deep.equal([{_id: '1', a: 1}, {_id: '2', a: 2}, {_id: '3', a: 3}]);
+      });
+    });
+
+    it('should reject an update violating unique compound index', function () {
+      const db = new Collection('test');
+      db._lazyInitCollection();
+      return db.indexManager.ensureIndex({fieldName: ['a', 'b'], unique: true}).then(() => {
+        return db.insertAll([{_id: '1', a: 1, b: 1}, {_id: '2', a: 1, b: 2}]);
+      }).then(() => {
+        return db.update('2', {$set: {b: 1}}).should.be.rejectedWith(DuplicateKeyError);
+      }).then(() => {
+        db.indexes.a_1_b_1.getMatching([1, 2]).should.be.deep.equal(['2']);
+        return db.find({a: 1, b: {$gt: 1}});
+      }).then((docs) => {
+        docs.should.be.deep.equal([{_id: '2', a: 1, b: 2}]);
+      });
+    });
+
+    it('should update multikey index when array changes', function () {
+      const db = new Collection('test');
+      db._lazyInitCollection();
+      return db.indexManager.ensureIndex({fieldName: 'tags'}).then(() => {
+        return db.insertAll([{_id: '1', tags: ['a', 'b']}, {_id: '2', tags: ['b']}]);
+      }).then(() => {
+        return db.update('1', {$pull: {tags: 'a'}, $push: {tags: 'c'}});
+      }).then(() => {
+        db.indexes.tags.getMatching('a').should.be.deep.equal([]);
+        return db.find({tags: {$all: ['b', 'c']}});
+      }).then((docs) => {
+        docs.should.be.deep.equal([{_id: '1', tags: ['b', 'c']}]);
+      });
+    });
+
+    it('should allow many documents without a field in unique sparse index', function () {
+      const db = new Collection('test');
+      db._lazyInitCollection();
+      return db.indexManager.ensureIndex({fieldName: 'a', unique: true, sparse: true}).then(() => {
+        return db.insertAll([{_id: '1'}, {_id: '2'}, {_id: '3', a: 1}]);
+      }).then(() => {
+        return db.update('1', {$set: {a: 1}}).should.be.rejectedWith(DuplicateKeyError);
+      }).then(() => {
+        return db.find({a: null});
+      }).then((docs) => {
+        docs.should.have.length(2);
+      });
     });
 
     it('should update by primitive id type', function () {
@@ -393,6 +588,7 @@ describe('Collection', () => {
             res.modified.should.be.equals(1);
             res.original.should.be.deep.equals([null]);
             res.updated.should.have.length(1);
+            res.upsertedId.should.be.equal(res.updated[0]._id);
             if (expectedId) {
               res.updated[0]._id.should.be.equal(expectedId);
             } else {
@@ -416,6 +612,610 @@ describe('Collection', () => {
     testUpsert('test', {b: 3}, {b: 3}, 'test');
     testUpsert({_id: null}, {b: 3}, {b: 3});
     testUpsert({_id: 'test'}, {b: 3}, {b: 3}, 'test');
+
+    it('should use the id generator of the collection', function () {
+      const idGenerator = sinon.spy(() => ({value: 'generated', seed: 'seed'}));
+      const upsertDb = new Collection('test', {idGenerator});
+      const syncUpdate = sinon.spy();
+      upsertDb.on('sync:update', syncUpdate);
+      return upsertDb.update({a: 1}, {$set: {b: 2}}, {upsert: true}).then((res) => {
+        idGenerator.should.have.been.calledWith('test');
+        res.upsertedId.should.be.equal('generated');
+        syncUpdate.should.have.been.calledWith(
+          {a: 1}, {$set: {b: 2}}, {upsert: true}, {value: 'generated', seed: 'seed'}
+        );
+        return upsertDb.findOne('generated');
+      }).then((doc) => {
+        doc.should.be.deep.equal({_id: 'generated', a: 1, b: 2});
+      });
+    });
+
+    it('should emit insert event and index the new document', function () {
+      const upsertDb = new Collection('test');
+      const insertCb = sinon.spy();
+      const updateCb = sinon.spy();
+      upsertDb.on('insert', insertCb);
+      upsertDb.on('update', updateCb);
+      return upsertDb.ensureIndex({fieldName: 'a'}).then(() => {
+        return upsertDb.update({a: 1}, {$set: {b: 2}}, {upsert: true});
+      }).then((res) => {
+        insertCb.should.have.callCount(1);
+        insertCb.firstCall.args[0].should.be.deep.equal({_id: res.upsertedId, a: 1, b: 2});
+        expect(insertCb.firstCall.args[1]).to.be.null;
+        updateCb.should.have.callCount(0);
+        upsertDb.indexes.a.getMatching(1).should.be.deep.equal([res.upsertedId]);
+        return upsertDb.update({a: 1}, {$set: {b: 3}}, {upsert: true});
+      }).then((res) => {
+        expect(res.upsertedId).to.be.undefined;
+        res.modified.should.be.equal(1);
+        insertCb.should.have.callCount(1);
+        updateCb.should.have.callCount(1);
+        return upsertDb.count({});
+      }).then((count) => {
+        count.should.be.equal(1);
+      });
+    });
+
+    it('should reject an upsert with existing _id', function () {
+      const upsertDb = new Collection('test');
+      const insertCb = sinon.spy();
+      upsertDb.on('insert', insertCb);
+      return upsertDb.insert({_id: '1', a: 1}).then(() => {
+        return upsertDb.update({_id: '1', a: 2}, {$set: {b: 1}}, {upsert: true})
+          .should.be.rejectedWith(DuplicateKeyError);
+      }).then(() => {
+        insertCb.should.have.callCount(1);
+        return upsertDb.findOne('1');
+      }).then((doc) => {
+        doc.should.be.deep.equal({_id: '1', a: 1});
+      });
+    });
+  });
+
+  describe('#update - concurrency', function () {
+    let db;
+    beforeEach(function () {
+      db = new Collection('test');
+      return db.insert({_id: '1', n: 0});
+    });
+
+    it('should not lose concurrent increments', function () {
+      return Promise.all(_.times(100, () =>
+        db.update('1', {$inc: {n: 1}})
+      )).then(() => db.findOne('1')).then((doc) => {
+        doc.n.should.be.equal(100);
+      });
+    });
+
+    it('should not lose concurrent increments of many documents', function () {
+      return db.insertAll(_.times(10, i => ({_id: `d${i}`, n: 0}))).then(() => {
+        return Promise.all(_.times(50, () =>
+          db.update({}, {$inc: {n: 1}}, {multi: true})
+        ));
+      }).then(() => db.find({})).then((docs) => {
+        docs.should.have.length(11);
+        _.map(docs, 'n').should.be.deep.equal(_.times(11, () => 50));
+      });
+    });
+
+    it('should upsert only one document by concurrent upserts', function () {
+      return Promise.all(_.times(20, () =>
+        db.update({a: 1}, {$inc: {n: 1}}, {upsert: true})
+      )).then((results) => {
+        _.filter(results, r => r.upsertedId).should.have.length(1);
+        return db.find({a: 1});
+      }).then((docs) => {
+        docs.should.have.length(1);
+        docs[0].n.should.be.equal(20);
+      });
+    });
+
+    it('should return distinct originals by concurrent findOneAndUpdate', function () {
+      return Promise.all(_.times(30, () =>
+        db.findOneAndUpdate('1', {$inc: {n: 1}})
+      )).then((docs) => {
+        _.map(docs, 'n').should.be.deep.equal(_.range(30));
+      });
+    });
+
+    it('should apply concurrent writes in order of calls', function () {
+      return Promise.all([
+        db.insert({_id: '2', n: 0}),
+        db.update({}, {$inc: {n: 1}}, {multi: true}),
+        db.remove('1'),
+        db.update({}, {$inc: {n: 10}}, {multi: true}),
+        db.insert({_id: '3', n: 0}),
+        db.findOneAndRemove({n: 0}),
+      ]).then(([id, updated, removed, updated2, id2, removedDoc]) => {
+        updated.modified.should.be.equal(2);
+        removed.should.have.length(1);
+        updated2.modified.should.be.equal(1);
+        removedDoc.should.be.deep.equal({_id: '3', n: 0});
+        return db.find({});
+      }).then((docs) => {
+        docs.should.be.deep.equal([{_id: '2', n: 11}]);
+      });
+    });
+  });
+
+  describe('#write errors', function () {
+    class FailingStorageManager extends StorageManager {
+      constructor(...args) {
+        super(...args);
+        this.failKeys = new Set();
+      }
+      // Each key fails only once, so a failed write can be reverted
+      shouldFail(key) {
+        return this.failKeys.delete(key);
+      }
+      persist(key, value) {
+        return this.shouldFail(key)
+          ? Promise.reject(new Error('persist failed'))
+          : super.persist(key, value);
+      }
+      delete(key) {
+        return this.shouldFail(key)
+          ? Promise.reject(new Error('delete failed'))
+          : super.delete(key);
+      }
+    }
+
+    let db, errorCb;
+    beforeEach(function () {
+      db = new Collection('test', {storageManager: FailingStorageManager});
+      errorCb = sinon.spy();
+      db.on('error', errorCb);
+      return db.insertAll([
+        {_id: '1', a: 1}, {_id: '2', a: 2}, {_id: '3', a: 3},
+      ]).then(() => db.ensureIndex({fieldName: 'a', unique: true}));
+    });
+
+    const checkUnchanged = () => {
+      return db.find({}).sort({_id: 1}).then((docs) => {
+        docs.should.be.deep.equal([{_id: '1', a: 1}, {_id: '2', a: 2}, {_id: '3', a: 3}]);
+        db.indexes._id.getAll().should.have.members(['1', '2', '3']);
+        db.indexes.a.getMatching(1).should.be.deep.equal(['1']);
+        db.indexes.a.getMatching(11).should.be.deep.equal([]);
+      });
+    };
+
+    it('should revert an insert if the storage failed', function () {
+      db.storage.failKeys.add('4');
+      return db.insert({_id: '4', a: 4}).should.be.rejectedWith('persist failed').then(() => {
+        errorCb.should.have.callCount(1);
+        errorCb.getCall(0).args[0].message.should.be.equal('persist failed');
+        errorCb.getCall(0).args[1].should.be.deep.equal({
+          operation: 'insert', doc: {_id: '4', a: 4},
+        });
+        return checkUnchanged();
+      }).then(() => {
+        return db.count({a: 4});
+      }).then((count) => {
+        count.should.be.equal(0);
+        db.indexes.a.getMatching(4).should.be.deep.equal([]);
+      });
+    });
+
+    it('should keep the error of a write if reverting failed', function () {
+      db.storage.failKeys.add('4');
+      sinon.stub(db.storage, 'delete').returns(Promise.reject(new Error('revert failed')));
+      return db.insert({_id: '4', a: 4}).then(() => {
+        throw new Error('should be rejected');
+      }, (err) => {
+        err.message.should.be.equal('persist failed');
+        err.revertError.message.should.be.equal('revert failed');
+        errorCb.should.have.callCount(1);
+        errorCb.getCall(0).args[0].should.be.equal(err);
+      });
+    });
+
+    it('should revert all documents of an update if the storage failed', function () {
+      const updateCb = sinon.spy();
+      db.on('update', updateCb);
+      db.storage.failKeys.add('2');
+      return db.update({}, {$inc: {a: 10}}, {multi: true})
+        .should.be.rejectedWith('persist failed').then(() => {
+          updateCb.should.have.callCount(0);
+          errorCb.should.have.callCount(1);
+          errorCb.getCall(0).args[1].should.be.deep.equal({
+            operation: 'update', query: {}, modifier: {$inc: {a: 10}}, options: {multi: true},
+          });
+          return checkUnchanged();
+        });
+    });
+
+    it('should revert an upsert if the storage failed', function () {
+      db.storage.failKeys.add('4');
+      return db.update({_id: '4'}, {$set: {a: 4}}, {upsert: true})
+        .should.be.rejectedWith('persist failed').then(() => {
+          errorCb.should.have.callCount(1);
+          db.indexes.a.getMatching(4).should.be.deep.equal([]);
+          return checkUnchanged();
+        });
+    });
+
+    it('should revert all documents of a remove if the storage failed', function () {
+      const removeCb = sinon.spy();
+      db.on('remove', removeCb);
+      db.storage.failKeys.add('3');
+      return db.remove({}, {multi: true}).should.be.rejectedWith('delete failed').then(() => {
+        removeCb.should.have.callCount(0);
+        errorCb.should.have.callCount(1);
+        errorCb.getCall(0).args[1].operation.should.be.equal('remove');
+        return checkUnchanged();
+      });
+    });
+
+    it('should emit an error if indexes can not be updated', function () {
+      return db.update({_id: '1'}, {$set: {a: 2}}).should.be.rejectedWith(DuplicateKeyError).then(() => {
+        errorCb.should.have.callCount(1);
+        errorCb.getCall(0).args[0].should.be.instanceof(DuplicateKeyError);
+        return checkUnchanged();
+      });
+    });
+
+    it('should revert inserts of a bulk write if the storage failed', function () {
+      db.storage.failKeys.add('5');
+      return db.bulkWrite([
+        {insertOne: {document: {_id: '4', a: 4}}},
+        {insertOne: {document: {_id: '5', a: 5}}},
+      ]).then(() => {
+        throw new Error('should be rejected');
+      }, (err) => {
+        err.should.be.instanceof(BulkWriteError);
+        err.failedIndexes.should.be.deep.equal([0, 1]);
+        err.result.insertedCount.should.be.equal(0);
+        return checkUnchanged();
+      });
+    });
+  });
+
+  describe('#findOneAndUpdate', function () {
+    let db;
+    beforeEach(function () {
+      db = new Collection('test');
+      return db.insertAll([
+        {_id: '1', a: 1, n: 1}, {_id: '2', a: 1, n: 2}, {_id: '3', a: 2, n: 3},
+      ]);
+    });
+
+    it('should update the first document by sort and return it', function () {
+      const updateCb = sinon.spy();
+      db.on('update', updateCb);
+      return db.findOneAndUpdate({a: 1}, {$inc: {n: 10}}, {sort: {n: -1}}).then((doc) => {
+        doc.should.be.deep.equal({_id: '2', a: 1, n: 2});
+        updateCb.should.have.callCount(1);
+        return db.findOneAndUpdate({a: 1}, {$inc: {n: 10}}, {
+          returnNew: true, projection: {n: 1},
+        });
+      }).then((doc) => {
+        doc.should.be.deep.equal({_id: '1', n: 11});
+        return db.find({}).sort({_id: 1});
+      }).then((docs) => {
+        _.map(docs, 'n').should.be.deep.equal([11, 12, 3]);
+      });
+    });
+
+    it('should return null if nothing updated', function () {
+      return db.findOneAndUpdate({a: 5}, {$set: {b: 1}}).then((doc) => {
+        expect(doc).to.be.null;
+        return db.findOneAndUpdate({a: 5}, {$set: {b: 1}}, {upsert: true});
+      }).then((doc) => {
+        expect(doc).to.be.null;
+        return db.findOneAndUpdate({a: 6}, {$set: {b: 1}}, {upsert: true, returnNew: true});
+      }).then((doc) => {
+        doc.should.include({a: 6, b: 1});
+        return db.count({b: 1});
+      }).then((count) => {
+        count.should.be.equal(2);
+      });
+    });
+
+    it('should return a copy of the document', function () {
+      return db.findOneAndUpdate('1', {$set: {b: 1}}, {returnNew: true}).then((doc) => {
+        doc.b = 2;
+        return db.findOne('1');
+      }).then((doc) => {
+        doc.b.should.be.equal(1);
+      });
+    });
+  });
+
+  describe('#findOneAndUpdate and #findOneAndRemove concurrency', function () {
+    it('should apply concurrent calls one by one', function () {
+      const db = new Collection('test');
+      return db.insertAll([{_id: '1', n: 0}, {_id: '2', n: 0}]).then(() => {
+        return Promise.all(_.times(5, () =>
+          db.findOneAndUpdate({_id: '1'}, {$inc: {n: 1}}, {returnNew: true})
+        ).concat([
+          db.findOneAndRemove({}),
+          db.findOneAndRemove({}),
+        ]));
+      }).then((results) => {
+        _.map(results.slice(0, 5), 'n').should.be.deep.equal([1, 2, 3, 4, 5]);
+        results[5].should.be.deep.equal({_id: '1', n: 5});
+        results[6].should.be.deep.equal({_id: '2', n: 0});
+        return db.count({});
+      }).then((count) => {
+        count.should.be.equal(0);
+      });
+    });
+  });
+
+  describe('#findOneAndRemove', function () {
+    it('should remove the first document by sort and return it', function () {
+      const db = new Collection('test');
+      const removeCb = sinon.spy();
+      db.on('remove', removeCb);
+      return db.insertAll([{_id: '1', a: 1}, {_id: '2', a: 1}, {_id: '3', a: 2}]).then(() => {
+        return db.findOneAndRemove({a: 1}, {sort: {_id: -1}, projection: {a: 0}});
+      }).then((doc) => {
+        doc.should.be.deep.equal({_id: '2'});
+        removeCb.should.have.callCount(1);
+        return db.findOneAndRemove({a: 3});
+      }).then((doc) => {
+        expect(doc).to.be.null;
+        return db.ids({});
+      }).then((ids) => {
+        ids.should.have.members(['1', '3']);
+      });
+    });
+  });
+
+  describe('#bulkWrite', function () {
+    let db;
+    beforeEach(function () {
+      db = new Collection('test');
+      return db.insertAll([
+        {_id: '1', a: 1}, {_id: '2', a: 1}, {_id: '3', a: 2},
+      ]).then(() => db.ensureIndex({fieldName: 'u', unique: true, sparse: true}));
+    });
+
+    it('should execute all operations and return results', function () {
+      return db.bulkWrite([
+        {insertOne: {document: {_id: '4', a: 3}}},
+        {insertOne: {document: {a: 4}}},
+        {updateMany: {filter: {a: 1}, update: {$set: {b: 1}}}},
+        {updateOne: {filter: {a: 5}, update: {$set: {b: 2}}, upsert: true}},
+        {replaceOne: {filter: {_id: '3'}, replacement: {c: 1}}},
+        {deleteOne: {filter: {a: 1}}},
+        {deleteMany: {filter: {a: {$in: [3, 4]}}}},
+      ]).then((res) => {
+        res.insertedCount.should.be.equal(2);
+        res.insertedIds[0].should.be.equal('4');
+        res.insertedIds[1].should.be.a('string');
+        res.modifiedCount.should.be.equal(3);
+        res.upsertedCount.should.be.equal(1);
+        res.upsertedIds.should.have.keys('3');
+        res.deletedCount.should.be.equal(3);
+        res.results[2].should.be.deep.equal({modified: 2});
+        res.results[3].should.be.deep.equal({modified: 1, upsertedId: res.upsertedIds[3]});
+        res.results[6].should.be.deep.equal({deleted: 2});
+        return db.find({});
+      }).then((docs) => {
+        _.map(docs, d => _.omit(d, '_id')).should.have.deep.members([
+          {a: 1, b: 1}, {c: 1}, {a: 5, b: 2},
+        ]);
+        return db.findOne('3');
+      }).then((doc) => {
+        doc.should.be.deep.equal({_id: '3', c: 1});
+      });
+    });
+
+    it('should stop on the first error when ordered', function () {
+      return db.bulkWrite([
+        {insertOne: {document: {_id: '4', u: 1}}},
+        {insertOne: {document: {_id: '5', u: 1}}},
+        {insertOne: {document: {_id: '6', u: 2}}},
+        {deleteMany: {filter: {a: 1}}},
+      ]).then(() => {
+        throw new Error('should be rejected');
+      }, (err) => {
+        err.should.be.instanceof(BulkWriteError);
+        err.failedIndexes.should.be.deep.equal([1]);
+        err.errors[0].cause.should.be.instanceof(DuplicateKeyError);
+        err.errors[0].operation.doc._id.should.be.equal('5');
+        err.result.insertedCount.should.be.equal(1);
+        err.result.deletedCount.should.be.equal(0);
+        return db.ids({}).sort({_id: 1});
+      }).then((ids) => {
+        ids.should.be.deep.equal(['1', '2', '3', '4']);
+      });
+    });
+
+    it('should execute all operations when not ordered', function () {
+      return db.bulkWrite([
+        {insertOne: {document: {_id: '4', u: 1}}},
+        {insertOne: {document: {_id: '5', u: 1}}},
+        {insertOne: {document: {_id: '6', u: 2}}},
+        {updateOne: {filter: {_id: '1'}, update: {$set: {u: 2}}}},
+        {deleteMany: {filter: {a: 1}}},
+      ], {ordered: false}).then(() => {
+        throw new Error('should be rejected');
+      }, (err) => {
+        err.should.be.instanceof(BulkWriteError);
+        err.failedIndexes.should.be.deep.equal([1, 3]);
+        err.result.insertedCount.should.be.equal(2);
+        err.result.deletedCount.should.be.equal(2);
+        expect(err.result.results[3]).to.be.null;
+        return db.ids({}).sort({_id: 1});
+      }).then((ids) => {
+        ids.should.be.deep.equal(['3', '4', '6']);
+      });
+    });
+
+    it('should emit a single batch event instead of events for each document', function () {
+      const batchCb = sinon.spy();
+      const insertCb = sinon.spy();
+      const removeCb = sinon.spy();
+      db.on('batch', batchCb);
+      db.on('insert', insertCb);
+      db.on('remove', removeCb);
+      return db.bulkWrite([
+        {insertOne: {document: {_id: '4'}}},
+        {updateOne: {filter: {_id: '1'}, update: {$set: {b: 1}}}},
+        {deleteOne: {filter: {_id: '2'}}},
+      ]).then(() => {
+        batchCb.should.have.callCount(1);
+        batchCb.getCall(0).args[0].should.be.deep.equal([
+          {newDoc: {_id: '4'}, oldDoc: null},
+          {newDoc: {_id: '1', a: 1, b: 1}, oldDoc: {_id: '1', a: 1}},
+          {newDoc: null, oldDoc: {_id: '2', a: 1}},
+        ]);
+        insertCb.should.have.callCount(0);
+        removeCb.should.have.callCount(0);
+      });
+    });
+
+    it('should update observers once per batch', function () {
+      const obsCb = sinon.spy();
+      const cursor = db.find({a: {$gte: 1}});
+      const updateSpy = sinon.spy(cursor, 'update');
+      return cursor.observe(obsCb).then(() => {
+        updateSpy.reset();
+        return db.bulkWrite([
+          {insertOne: {document: {_id: '4', a: 3}}},
+          {insertOne: {document: {_id: '5', a: 4}}},
+          {deleteOne: {filter: {_id: '1'}}},
+        ]);
+      }).then(() => {
+        updateSpy.should.have.callCount(1);
+        return cursor.stopObservers();
+      });
+    });
+
+    it('should reject invalid operations without executing any', function () {
+      return Promise.all([
+        db.bulkWrite({}).should.be.rejectedWith(Error),
+        db.bulkWrite([{insertMany: {}}]).should.be.rejectedWith(Error),
+        db.bulkWrite([{insertOne: {}}]).should.be.rejectedWith(Error),
+        db.bulkWrite([{updateOne: {filter: {}}}]).should.be.rejectedWith(Error),
+        db.bulkWrite([{replaceOne: {replacement: {$set: {a: 1}}}}]).should.be.rejectedWith(Error),
+        db.bulkWrite([
+          {insertOne: {document: {_id: '4'}}},
+          {deleteOne: {}},
+          {updateMany: {filter: {}}},
+        ]).should.be.rejectedWith(Error),
+      ]).then(() => db.ids({})).then((ids) => {
+        ids.should.have.members(['1', '2', '3']);
+      });
+    });
+
+    it('should emit an error event when some operation failed', function () {
+      const errorCb = sinon.spy();
+      db.on('error', errorCb);
+      const operations = [
+        {insertOne: {document: {_id: '4', u: 1}}},
+        {insertOne: {document: {_id: '5', u: 1}}},
+      ];
+      return db.bulkWrite(operations).then(() => {
+        throw new Error('should be rejected');
+      }, (err) => {
+        err.should.be.instanceof(BulkWriteError);
+        errorCb.should.have.callCount(1);
+        errorCb.should.have.been.calledWith(err, {
+          operation: 'bulkWrite', operations, options: {},
+        });
+      });
+    });
+
+    it('should not batch updates and removes', function () {
+      const persistSpy = sinon.spy(db.storageManager, 'persist');
+      return db.bulkWrite([
+        {updateMany: {filter: {a: 1}, update: {$set: {a: 2}}}},
+        {updateMany: {filter: {a: 2}, update: {$inc: {a: 1}}}},
+        {deleteOne: {filter: {a: 3, _id: '3'}}},
+      ]).then((res) => {
+        res.results.should.be.deep.equal([
+          {modified: 2}, {modified: 3}, {deleted: 1},
+        ]);
+        persistSpy.should.have.callCount(5);
+        return db.find({}).sort({_id: 1});
+      }).then((docs) => {
+        docs.should.be.deep.equal([{_id: '1', a: 3}, {_id: '2', a: 3}]);
+      });
+    });
+  });
+
+  describe('#clear', function () {
+    let db;
+    beforeEach(function () {
+      db = new Collection('test');
+      return db.insertAll([{_id: '1', a: 1}, {_id: '2', a: 2}]).then(() =>
+        db.ensureIndex({fieldName: 'a', unique: true})
+      );
+    });
+
+    it('should remove all documents with a single event', function () {
+      const removeCb = sinon.spy();
+      const clearCb = sinon.spy();
+      const syncCb = sinon.spy();
+      db.on('remove', removeCb);
+      db.on('clear', clearCb);
+      db.on('sync:clear', syncCb);
+      return db.clear().then(() => {
+        removeCb.should.have.callCount(0);
+        clearCb.should.have.callCount(1);
+        syncCb.should.have.callCount(1);
+        db.indexes.should.have.keys('_id', 'a');
+        db.indexes.a.getAll().should.be.deep.equal([]);
+        return db.count({});
+      }).then((count) => {
+        count.should.be.equal(0);
+        return db.insert({_id: '3', a: 1});
+      }).then(() => db.ids({a: 1})).then((ids) => {
+        ids.should.be.deep.equal(['3']);
+        return db.clear({quiet: true});
+      }).then(() => {
+        syncCb.should.have.callCount(1);
+      });
+    });
+
+    it('should update observed cursors', function () {
+      const observer = sinon.spy();
+      const cursor = db.find({a: {$gt: 10}});
+      return cursor.observe(observer).then(() => {
+        observer.should.have.callCount(1);
+        const updateSpy = sinon.spy(cursor, 'update');
+        return db.clear().then(() => {
+          updateSpy.should.have.callCount(1);
+          cursor.stopObservers();
+        });
+      });
+    });
+
+    it('should wait for previous writes', function () {
+      return Promise.all([
+        db.insert({_id: '3', a: 3}),
+        db.clear(),
+        db.insert({_id: '4', a: 4}),
+      ]).then(() => db.ids({})).then((ids) => {
+        ids.should.be.deep.equal(['4']);
+      });
+    });
+  });
+
+  describe('#drop', function () {
+    it('should clear the collection and remove indexes', function () {
+      const db = new Collection('test');
+      const clearCb = sinon.spy();
+      const dropCb = sinon.spy();
+      db.on('clear', clearCb);
+      db.on('drop', dropCb);
+      return db.insertAll([{_id: '1', a: 1}, {_id: '2', a: 1}]).then(() =>
+        db.ensureIndex({fieldName: 'b', unique: true, sparse: true})
+      ).then(() => db.drop()).then(() => {
+        clearCb.should.have.callCount(1);
+        dropCb.should.have.callCount(1);
+        db.indexes.should.have.keys('_id');
+        return db.listIndexes();
+      }).then((indexes) => {
+        indexes.should.have.length(1);
+        return db.insertAll([{b: 1}, {b: 1}]);
+      }).then(() => db.count({b: 1})).then((count) => {
+        count.should.be.equal(2);
+      });
+    });
   });
 
   describe('#findOne', function () {
@@ -461,6 +1261,110 @@ describe('Collection', () => {
   });
 
 
+  describe('#distinct', function () {
+    let db;
+    beforeEach(function () {
+      db = new Collection('test');
+      return db.insertAll([
+        {_id: '1', a: 1, b: {c: 'x'}},
+        {_id: '2', a: 1, b: {c: ['y', 'z']}},
+        {_id: '3', a: 2, b: [{c: 'x'}, {c: {d: 1}}]},
+        {_id: '4', a: null, b: {c: {d: 1}}},
+        {_id: '5', b: {c: []}},
+      ]);
+    });
+
+    it('should return distinct values of a field', function () {
+      return db.distinct('a').then((values) => {
+        values.should.have.deep.members([1, 2, null]);
+        values.should.have.length(3);
+      });
+    });
+
+    it('should return distinct values of a dotted field with arrays', function () {
+      return db.distinct('b.c').then((values) => {
+        values.should.have.deep.members(['x', 'y', 'z', {d: 1}]);
+        values.should.have.length(4);
+      });
+    });
+
+    it('should return copies of values', function () {
+      return db.ensureIndex({fieldName: 'b'}).then(() =>
+        Promise.all([db.distinct('b.c'), db.distinct('b')])
+      ).then(([values, indexValues]) => {
+        _.find(values, v => _.isObject(v)).d = 2;
+        _.find(indexValues, v => _.isPlainObject(v) && v.c === 'x').c = 'w';
+        return Promise.all([db.findOne('4'), db.findOne('1'), db.distinct('b')]);
+      }).then(([doc4, doc1, indexValues]) => {
+        doc4.b.should.be.deep.equal({c: {d: 1}});
+        doc1.b.should.be.deep.equal({c: 'x'});
+        indexValues.should.deep.include({c: 'x'});
+        indexValues.should.not.deep.include({c: 'w'});
+      });
+    });
+
+    it('should return values only of matched documents', function () {
+      return db.distinct('b.c', {a: 1}).then((values) => {
+        values.should.have.members(['x', 'y', 'z']);
+        values.should.have.length(3);
+      });
+    });
+
+    it('should use an index by the field for an empty query', function () {
+      return db.ensureIndex({fieldName: 'a'}).then(() => {
+        const getKeysSpy = sinon.spy(db.indexes.a, 'getKeys');
+        const getSpy = sinon.spy(db.storage, 'get');
+        return db.distinct('a').then((values) => {
+          values.should.be.deep.equal([null, 1, 2]);
+          getKeysSpy.should.have.callCount(1);
+          getSpy.should.have.callCount(0);
+          return db.distinct('a', {'b.c': 'y'});
+        }).then((values) => {
+          values.should.be.deep.equal([1]);
+          getKeysSpy.should.have.callCount(1);
+        });
+      });
+    });
+
+    it('should return values when the index removed after creating a cursor', function () {
+      return db.ensureIndex({fieldName: 'a'}).then(() => {
+        const cursor = db.distinct('a');
+        return db.dropIndex('a').then(() => cursor);
+      }).then((values) => {
+        values.should.have.deep.members([1, 2, null]);
+      });
+    });
+
+    it('should be observable', function () {
+      const observer = sinon.spy();
+      const cursor = db.distinct('a');
+      return cursor.observe(observer).then(() => {
+        observer.getCall(0).args[0].should.have.deep.members([1, 2, null]);
+        return db.insert({_id: '6', a: 3});
+      }).then(() => cursor.update(false, true)).then(() => {
+        observer.lastCall.args[0].should.have.deep.members([1, 2, null, 3]);
+        return db.remove({a: 2});
+      }).then(() => cursor._updatePromise).then(() => {
+        observer.lastCall.args[0].should.have.deep.members([1, null, 3]);
+        cursor.stopObservers();
+      });
+    });
+
+    it('should not change given options', function () {
+      const options = {};
+      return db.ensureIndex({fieldName: 'a'}).then(() => {
+        return db.distinct('a', {}, options);
+      }).then(() => {
+        options.should.be.deep.equal({});
+      });
+    });
+
+    it('should require a field', function () {
+      (() => db.distinct()).should.throw(Error);
+      (() => db.distinct('')).should.throw(Error);
+    });
+  });
+
   describe('#count', function () {
     it('should return count of documents by query', function () {
       const db = new Collection('test');
@@ -475,6 +1379,19 @@ describe('Collection', () => {
       });
     });
 
+    it('should not change given options', function () {
+      const db = new Collection('test');
+      const options = {};
+      return db.insertAll([{_id: '1', a: 1}, {_id: '2', a: 2}]).then(() => {
+        return Promise.all([db.count({}, options), db.ids({}, options)]);
+      }).then(() => {
+        options.should.be.deep.equal({});
+        return db.find({}, options).sort({_id: 1});
+      }).then((docs) => {
+        docs.should.be.deep.equal([{_id: '1', a: 1}, {_id: '2', a: 2}]);
+      });
+    });
+
     it('should return zero if no documents found', function () {
       const db = new Collection('test');
       return Promise.all([
@@ -506,6 +1423,30 @@ describe('Collection', () => {
         res.should.be.deep.equal(0);
       });
     });
+
+    it('should count only by indexes when query is covered', function () {
+      const db = new Collection('test');
+      db._lazyInitCollection();
+      const spy = sinon.spy(db.storage, 'get');
+      return db.indexManager.ensureIndex({fieldName: 'a'}).then(() => {
+        return db.insertAll([{a: 1}, {a: 2}, {a: 3, b: 1}]);
+      }).then(() => {
+        const cursor = db.count({a: {$gte: 2}});
+        return cursor.then((num) => {
+          num.should.be.equal(2);
+          cursor.coveredByIndex.should.be.true;
+          spy.should.have.callCount(0);
+        });
+      }).then(() => {
+        const cursor = db.count({a: {$gte: 2}, b: 1});
+        return cursor.then((num) => {
+          num.should.be.equal(1);
+          cursor.coveredByIndex.should.be.false;
+          spy.should.have.callCount(2);
+          spy.restore();
+        });
+      });
+    });
   });
 
 
@@ -542,5 +1483,16 @@ describe('Collection', () => {
         ids.should.have.length(0);
       });
     });
+
+    it('should return ids of all documents using only indexes', function () {
+      const db = new Collection('test');
+      return db.insertAll([{_id: '2'}, {_id: '1'}]).then(() => {
+        const cursor = db.ids().limit(1);
+        return cursor.then((ids) => {
+          ids.should.be.deep.equal(['1']);
+          cursor.coveredByIndex.should.be.true;
+        });
+      });
+    });
   });
 });
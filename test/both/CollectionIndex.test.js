@@ -0,0 +1,374 @@
+import CollectionIndex, {getIndexName} from '../../lib/CollectionIndex';
+import DuplicateKeyError from '../../lib/DuplicateKeyError';
+import EJSON from '../../lib/EJSON';
+import chai, {expect} from 'chai';
+chai.should();
+
+
+describe('CollectionIndex', () => {
+  let index;
+  beforeEach(function () {
+    index = new CollectionIndex({fieldName: 'a'});
+    index.insert({_id: '1', a: 1});
+    index.insert({_id: '2', a: 2});
+    index.insert({_id: '3', a: 2});
+    index.insert({_id: '4', a: 'b'});
+    index.insert({_id: '5', a: null});
+    index.insert({_id: '6'});
+    index.insert({_id: '7', a: new Date(10)});
+  });
+
+  describe('#constructor', function () {
+    it('should require a field name', function () {
+      (() => new CollectionIndex()).should.throw(Error);
+      (() => new CollectionIndex({fieldName: ['a', '']})).should.throw(Error);
+    });
+
+    it('should generate a name of the index', function () {
+      index.name.should.be.equal('a');
+      new CollectionIndex({fieldName: ['a', ['b', 'desc']]})
+        .name.should.be.equal('a_1_b_-1');
+      new CollectionIndex({fieldName: ['a', 'b'], name: 'ab'})
+        .name.should.be.equal('ab');
+      getIndexName([['a', -1], ['b', 1]]).should.be.equal('a_-1_b_1');
+    });
+  });
+
+  describe('#insert', function () {
+    it('should index by nested fields', function () {
+      const idx = new CollectionIndex({fieldName: 'a.b'});
+      idx.insert({_id: '1', a: {b: 1}});
+      idx.insert({_id: '2', a: 1});
+      idx.getMatching(1).should.be.deep.equal(['1']);
+      idx.getMatching(null).should.be.deep.equal(['2']);
+    });
+
+  });
+
+  describe('#insert - multikey', function () {
+    it('should index each element of an array', function () {
+      index.multikey.should.be.false;
+      index.insert({_id: '8', a: [1, 'b', [2], 1]});
+      index.multikey.should.be.true;
+      index.getMatching(1).should.be.deep.equal(['1', '8']);
+      index.getMatching('b').should.be.deep.equal(['4', '8']);
+      index.getMatching([2]).should.be.deep.equal(['8']);
+      index.getMatching(2).should.be.deep.equal(['2', '3']);
+    });
+
+    it('should index elements of arrays in nested fields', function () {
+      const idx = new CollectionIndex({fieldName: 'a.b'});
+      idx.insert({_id: '1', a: [{b: 1}, {b: [2, 3]}, {c: 1}]});
+      idx.getMatching(3).should.be.deep.equal(['1']);
+      idx.getMatching(null).should.be.deep.equal(['1']);
+      idx.getAll().should.be.deep.equal(['1', '1', '1', '1']);
+    });
+
+    it('should index an empty array as a missing field', function () {
+      index.insert({_id: '8', a: []});
+      index.getMatching(null).should.be.deep.equal(['6', '8', '5']);
+    });
+
+    it('should throw an error for parallel arrays in compound index', function () {
+      const idx = new CollectionIndex({fieldName: ['a', 'b']});
+      idx.insert({_id: '1', a: [1, 2], b: 1});
+      idx.getMatching([2, 1]).should.be.deep.equal(['1']);
+      (() => idx.insert({_id: '2', a: [1, 2], b: [1]})).should.throw(Error);
+      idx.getAll().should.not.contain('2');
+    });
+
+    it('should not consider elements of the same document as duplicates', function () {
+      const idx = new CollectionIndex({fieldName: 'a', unique: true});
+      idx.insert({_id: '1', a: [1, 1, 2]});
+      (() => idx.insert({_id: '2', a: [3, 2]})).should.throw(DuplicateKeyError);
+      idx.getMatching(3).should.be.deep.equal([]);
+    });
+  });
+
+  describe('#insert - unique', function () {
+    it('should throw DuplicateKeyError for existing key', function () {
+      const idx = new CollectionIndex({fieldName: 'a', unique: true});
+      idx.insert({_id: '1', a: 1});
+      let error;
+      try {
+        idx.insert({_id: '2', a: 1});
+      } catch (e) {
+        error = e;
+      }
+      error.should.be.instanceof(DuplicateKeyError);
+      error.should.be.instanceof(Error);
+      error.index.should.be.equal('a');
+      error.key.should.be.equal(1);
+      error.message.should.contain('"a"');
+      idx.getMatching(1).should.be.deep.equal(['1']);
+    });
+
+    it('should consider missing field and null as the same key', function () {
+      const idx = new CollectionIndex({fieldName: 'a', unique: true});
+      idx.insert({_id: '1'});
+      (() => idx.insert({_id: '2', a: null})).should.throw(DuplicateKeyError);
+    });
+
+    it('should restore old key when update violates uniqueness', function () {
+      const idx = new CollectionIndex({fieldName: 'a', unique: true});
+      idx.insert({_id: '1', a: 1});
+      idx.insert({_id: '2', a: 2});
+      (() => idx.update({_id: '2', a: 2}, {_id: '2', a: 1}))
+        .should.throw(DuplicateKeyError);
+      idx.getMatching(2).should.be.deep.equal(['2']);
+      idx.getMatching(1).should.be.deep.equal(['1']);
+    });
+  });
+
+  describe('#insert - sparse and partial', function () {
+    it('should skip documents without the field in sparse index', function () {
+      const idx = new CollectionIndex({fieldName: 'a', sparse: true, unique: true});
+      idx.insert({_id: '1'});
+      idx.insert({_id: '2', b: 1});
+      idx.insert({_id: '3', a: null});
+      idx.getAll().should.be.deep.equal(['3']);
+      (() => idx.insert({_id: '4', a: null})).should.throw(DuplicateKeyError);
+      idx.remove({_id: '1'});
+      idx.getAll().should.be.deep.equal(['3']);
+    });
+
+    it('should skip documents without all fields in sparse compound index', function () {
+      const idx = new CollectionIndex({fieldName: ['a', 'b'], sparse: true});
+      idx.insert({_id: '1'});
+      idx.insert({_id: '2', b: 1});
+      idx.getAll().should.be.deep.equal(['2']);
+    });
+
+    it('should index only documents matching partial filter', function () {
+      const idx = new CollectionIndex({
+        fieldName: 'a',
+        unique: true,
+        partialFilterExpression: {b: {$gt: 5}},
+      });
+      idx.insert({_id: '1', a: 1, b: 10});
+      idx.insert({_id: '2', a: 1, b: 1});
+      idx.insert({_id: '3', a: 1});
+      idx.getAll().should.be.deep.equal(['1']);
+      (() => idx.insert({_id: '4', a: 1, b: 6})).should.throw(DuplicateKeyError);
+      idx.update({_id: '1', a: 1, b: 10}, {_id: '1', a: 1, b: 0});
+      idx.getAll().should.be.deep.equal([]);
+      idx.update({_id: '2', a: 1, b: 1}, {_id: '2', a: 2, b: 7});
+      idx.getAll().should.be.deep.equal(['2']);
+    });
+
+    it('should reject unsupported partial filters', function () {
+      (() => new CollectionIndex({fieldName: 'a', partialFilterExpression: {b: {$ne: 1}}}))
+        .should.throw(Error);
+      (() => new CollectionIndex({fieldName: 'a', partialFilterExpression: {b: {$exists: false}}}))
+        .should.throw(Error);
+      (() => new CollectionIndex({fieldName: 'a', partialFilterExpression: {$or: [{b: 1}]}}))
+        .should.throw(Error);
+      (() => new CollectionIndex({fieldName: 'a', partialFilterExpression: {b: /a/}}))
+        .should.throw(Error);
+      new CollectionIndex({fieldName: 'a', partialFilterExpression: {
+        $and: [{b: 1}, {c: {$exists: true, $type: 2}}], 'd.e': {f: 1},
+      }}).partialFilterExpression.should.be.an('object');
+    });
+  });
+
+  describe('#remove', function () {
+    it('should remove a document from the index', function () {
+      index.remove({_id: '2', a: 2});
+      index.getMatching(2).should.be.deep.equal(['3']);
+      index.remove({_id: '6'});
+      index.getMatching(null).should.be.deep.equal(['5']);
+    });
+  });
+
+  describe('#update', function () {
+    it('should move a document to a new key', function () {
+      index.update({_id: '1', a: 1}, {_id: '1', a: 3});
+      index.getMatching(1).should.be.deep.equal([]);
+      index.getMatching(3).should.be.deep.equal(['1']);
+    });
+
+    it('should keep old key if new document can not be indexed', function () {
+      const idx = new CollectionIndex({fieldName: ['a', 'b']});
+      idx.insert({_id: '1', a: 1, b: 1});
+      (() => idx.update({_id: '1', a: 1, b: 1}, {_id: '1', a: [3], b: [1]}))
+        .should.throw(Error);
+      idx.getMatching([1, 1]).should.be.deep.equal(['1']);
+    });
+
+    it('should update all keys of an array', function () {
+      index.update({_id: '1', a: 1}, {_id: '1', a: [1, 3]});
+      index.update({_id: '1', a: [1, 3]}, {_id: '1', a: [3, 4]});
+      index.getMatching(1).should.be.deep.equal([]);
+      index.getMatching(3).should.be.deep.equal(['1']);
+      index.getMatching(4).should.be.deep.equal(['1']);
+    });
+
+    it('should revert an update', function () {
+      index.update({_id: '1', a: 1}, {_id: '1', a: 3});
+      index.revertUpdate({_id: '1', a: 1}, {_id: '1', a: 3});
+      index.getMatching(1).should.be.deep.equal(['1']);
+      index.getMatching(3).should.be.deep.equal([]);
+    });
+  });
+
+  describe('#getMatching', function () {
+    it('should return ids by value', function () {
+      index.getMatching(2).should.be.deep.equal(['2', '3']);
+      index.getMatching('b').should.be.deep.equal(['4']);
+      index.getMatching(new Date(10)).should.be.deep.equal(['7']);
+      index.getMatching(5).should.be.deep.equal([]);
+    });
+
+    it('should match missing fields by null', function () {
+      index.getMatching(null).should.be.deep.equal(['6', '5']);
+      index.getMatching(undefined).should.be.deep.equal(['6', '5']);
+    });
+  });
+
+  describe('#getBetweenBounds', function () {
+    it('should return ids only of the bounds type', function () {
+      index.getBetweenBounds({$gt: 1}).should.be.deep.equal(['2', '3']);
+      index.getBetweenBounds({$gte: 1}).should.be.deep.equal(['1', '2', '3']);
+      index.getBetweenBounds({$lt: 2}).should.be.deep.equal(['1']);
+      index.getBetweenBounds({$gte: 'a', $lte: 'c'}).should.be.deep.equal(['4']);
+      index.getBetweenBounds({$lt: new Date(20)}).should.be.deep.equal(['7']);
+    });
+
+    it('should match missing fields by null bounds', function () {
+      index.getBetweenBounds({$gte: null}).should.be.deep.equal(['6', '5']);
+      index.getBetweenBounds({$lte: null}).should.be.deep.equal(['6', '5']);
+      index.getBetweenBounds({$gt: null}).should.be.deep.equal([]);
+    });
+
+    it('should return nothing for unsatisfiable bounds', function () {
+      index.getBetweenBounds({}).should.be.deep.equal([]);
+      index.getBetweenBounds({$gt: [1]}).should.be.deep.equal([]);
+      index.getBetweenBounds({$gt: 1, $lt: 'c'}).should.be.deep.equal([]);
+    });
+  });
+
+  describe('#getAll', function () {
+    it('should return all ids in order of values', function () {
+      index.getAll().should.be.deep.equal(['6', '5', '1', '2', '3', '4', '7']);
+      index.getAll({reverse: true}).should.be.deep.equal(['7', '4', '2', '3', '1', '5', '6']);
+    });
+  });
+
+  describe('#getKeys', function () {
+    it('should return distinct keys in order', function () {
+      index.getKeys().should.be.deep.equal([undefined, null, 1, 2, 'b', new Date(10)]);
+    });
+
+    it('should return elements of arrays as keys', function () {
+      const idx = new CollectionIndex({fieldName: 'a'});
+      idx.insert({_id: '1', a: [1, 2]});
+      idx.insert({_id: '2', a: [2, 3]});
+      idx.getKeys().should.be.deep.equal([1, 2, 3]);
+    });
+  });
+
+  describe('#serialize', function () {
+    it('should load serialized contents to a new index', function () {
+      const idx = new CollectionIndex({fieldName: ['a', ['b', 'desc']], sparse: true});
+      idx.insert({_id: '1', a: [1, 2], b: 1});
+      idx.insert({_id: '2', a: 1, b: 2});
+      const data = EJSON.parse(EJSON.stringify(idx.serialize()));
+      data.definition.should.be.deep.equal(idx.getDefinition());
+
+      const loaded = new CollectionIndex({fieldName: ['a', ['b', 'desc']], sparse: true});
+      loaded.load(data);
+      loaded.multikey.should.be.true;
+      loaded.getAll().should.be.deep.equal(idx.getAll());
+      loaded.getMatching([1]).should.be.deep.equal(['2', '1']);
+      loaded.getMatching([2, 1]).should.be.deep.equal(['1']);
+    });
+  });
+
+  describe('collation', function () {
+    it('should compare string keys with the collation', function () {
+      const idx = new CollectionIndex({
+        fieldName: 'a', collation: {locale: 'en', strength: 2},
+      });
+      idx.insert({_id: '1', a: 'apple'});
+      idx.insert({_id: '2', a: 'Apple'});
+      idx.insert({_id: '3', a: 'banana'});
+      idx.insert({_id: '4', a: 'Cherry'});
+      idx.insert({_id: '5', a: 1});
+      idx.getMatching('APPLE').should.be.deep.equal(['1', '2']);
+      idx.getBetweenBounds({$gt: 'B'}).should.be.deep.equal(['3', '4']);
+      idx.getAll().should.be.deep.equal(['5', '1', '2', '3', '4']);
+      idx.getDefinition().collation.should.be.deep.equal({
+        locale: 'en', strength: 2, numericOrdering: false,
+      });
+    });
+
+    it('should reject keys equal by the collation in a unique index', function () {
+      const idx = new CollectionIndex({
+        fieldName: ['a', 'b'], unique: true, collation: {locale: 'en', strength: 1},
+      });
+      idx.insert({_id: '1', a: 'Äb', b: 1});
+      (() => idx.insert({_id: '2', a: 'ab', b: 1})).should.throw(DuplicateKeyError);
+      idx.insert({_id: '3', a: 'ab', b: 2});
+      idx.getBetweenBounds({$lt: 'AB'}, []).should.be.deep.equal([]);
+      idx.getMatching(['AB']).should.be.deep.equal(['1', '3']);
+    });
+  });
+
+  describe('#reset', function () {
+    it('should remove all documents from the index', function () {
+      index.reset();
+      index.getAll().should.be.deep.equal([]);
+    });
+  });
+
+  describe('compound', function () {
+    let compound;
+    beforeEach(function () {
+      compound = new CollectionIndex({fieldName: ['a', ['b', 'desc']]});
+      compound.insert({_id: '1', a: 1, b: 1});
+      compound.insert({_id: '2', a: 1, b: 3});
+      compound.insert({_id: '3', a: 1, b: 2});
+      compound.insert({_id: '4', a: 2, b: 1});
+      compound.insert({_id: '5', b: 1});
+      compound.insert({_id: '6', a: 1, b: 'str'});
+    });
+
+    it('should order keys field by field with directions', function () {
+      compound.getAll().should.be.deep.equal(['5', '6', '2', '3', '1', '4']);
+    });
+
+    it('should return ids by values of all fields', function () {
+      compound.getMatching([1, 2]).should.be.deep.equal(['3']);
+      compound.getMatching([null, 1]).should.be.deep.equal(['5']);
+      compound.getMatching([2]).should.be.deep.equal(['4']);
+    });
+
+    it('should return ids by a prefix', function () {
+      compound.getBetweenBounds({}, [1]).should.be.deep.equal(['6', '2', '3', '1']);
+      compound.getBetweenBounds({}, [null]).should.be.deep.equal(['5']);
+    });
+
+    it('should return ids by a prefix and a range on next field', function () {
+      compound.getBetweenBounds({$gte: 2}, [1]).should.be.deep.equal(['2', '3']);
+      compound.getBetweenBounds({$lt: 3}, [1]).should.be.deep.equal(['3', '1']);
+      compound.getBetweenBounds({$gt: 1, $lt: 3}, [1]).should.be.deep.equal(['3']);
+      compound.getBetweenBounds({$gt: 1}, []).should.be.deep.equal(['4']);
+      compound.getBetweenBounds({$gt: 'a'}, [1]).should.be.deep.equal(['6']);
+    });
+
+    it('should throw DuplicateKeyError for existing compound key', function () {
+      const idx = new CollectionIndex({fieldName: ['a', 'b'], unique: true});
+      idx.insert({_id: '1', a: 1, b: 1});
+      idx.insert({_id: '2', a: 1, b: 2});
+      idx.insert({_id: '3', b: 2});
+      let error;
+      try {
+        idx.insert({_id: '4', a: null, b: 2});
+      } catch (e) {
+        error = e;
+      }
+      error.should.be.instanceof(DuplicateKeyError);
+      error.index.should.be.equal('a_1_b_1');
+    });
+  });
+});
@@ -272,9 +272,318 @@ describe('Cursor', () => {
         docs[6].a.should.be.equals('a');
       });
     });
+
+    it('should sort and limit by an index without retriving all documents', function () {
+      const spy = sinon.spy(db.storage, 'get');
+      return db.indexManager.ensureIndex({fieldName: 'f'}).then(() => {
+        return new Cursor(db).find({g: 'g1'}).sort({f: -1}).skip(1).limit(2);
+      }).then((docs) => {
+        _.map(docs, '_id').should.be.deep.equal(['3', '2']);
+        spy.should.have.callCount(5);
+        spy.reset();
+        return new Cursor(db).find({b: {$gt: 2}}).sort({f: 1}).limit(2);
+      }).then((docs) => {
+        _.map(docs, '_id').should.be.deep.equal(['5', '3']);
+        spy.should.have.callCount(4);
+        spy.restore();
+      });
+    });
+
+    it('should sort by a compound index in both directions', function () {
+      return db.indexManager.ensureIndex({fieldName: ['g', ['f', -1]]}).then(() => {
+        return new Cursor(db).find().sort({g: -1, f: 1});
+      }).then((docs) => {
+        _.map(docs, '_id').should.be.deep.equal(['5', '6', '7', '1', '2', '3', '4']);
+        return new Cursor(db).find().sort([['g', 'asc'], ['f', 'desc']]).limit(3);
+      }).then((docs) => {
+        _.map(docs, '_id').should.be.deep.equal(['4', '3', '2']);
+      });
+    });
+  });
+
+
+
+  describe('#explain', function () {
+    it('should describe a full scan with in-memory sort', function () {
+      const cursor = new Cursor(db).find({b: {$gt: 2}}).sort({f: 1}).limit(2);
+      cursor.map(x => x);
+      return cursor.explain().then((stats) => {
+        stats.should.include({
+          strategy: 'fullScan',
+          index: null,
+          sortIndex: null,
+          inMemorySort: true,
+          keysExamined: 0,
+          docsExamined: 7,
+          docsReturned: 2,
+        });
+        stats.pipeline.should.have.length(1);
+        stats.pipeline[0].type.should.be.equal('map');
+        stats.pipeline[0].time.should.be.a('number');
+        stats.executionTime.should.be.a('number');
+        expect(cursor._latestResult).to.be.null;
+      });
+    });
+
+    it('should describe an index and ids plans', function () {
+      return db.indexManager.ensureIndex({fieldName: 'f'}).then(() => {
+        return new Cursor(db).find({f: {$gte: 20}, g: 'g2'}).explain();
+      }).then((stats) => {
+        stats.should.include({
+          strategy: 'index',
+          index: 'f',
+          inMemorySort: false,
+          keysExamined: 2,
+          docsExamined: 2,
+          docsReturned: 2,
+        });
+        return new Cursor(db).find({g: 'g1'}).sort({f: -1}).limit(1).explain();
+      }).then((stats) => {
+        stats.should.include({
+          strategy: 'index',
+          index: 'f',
+          sortIndex: 'f',
+          inMemorySort: false,
+          keysExamined: 7,
+          docsExamined: 3,
+          docsReturned: 1,
+        });
+        return new Cursor(db).find({_id: {$in: ['1', '2']}}).explain();
+      }).then((stats) => {
+        stats.should.include({
+          strategy: 'ids',
+          keysExamined: 2,
+          docsExamined: 2,
+          docsReturned: 2,
+        });
+        return new Cursor(db, {b: 1}, {idsOnly: true}).explain();
+      }).then((stats) => {
+        stats.strategy.should.be.equal('fullScan');
+        return new Cursor(db, {f: 1}, {idsOnly: true}).explain();
+      }).then((stats) => {
+        stats.should.include({
+          strategy: 'covered',
+          keysExamined: 1,
+          docsExamined: 0,
+          docsReturned: 1,
+        });
+      });
+    });
+
+    it('should not change coveredByIndex of the cursor', function () {
+      return db.indexManager.ensureIndex({fieldName: 'f'}).then(() => {
+        const cursor = new Cursor(db, {f: 1}, {idsOnly: true});
+        return cursor.explain().then((stats) => {
+          stats.strategy.should.be.equal('covered');
+          cursor.coveredByIndex.should.be.false;
+          return cursor.exec();
+        }).then(() => {
+          cursor.coveredByIndex.should.be.true;
+          cursor.find({b: 1});
+          return cursor.explain();
+        }).then((stats) => {
+          stats.strategy.should.be.equal('fullScan');
+          cursor.coveredByIndex.should.be.true;
+        });
+      });
+    });
+  });
+
+
+  describe('#hint', function () {
+    it('should force using of an index', function () {
+      return db.indexManager.ensureIndex({fieldName: 'f'}).then(() => {
+        return new Cursor(db).find({_id: '2', f: {$gt: 0}}).hint('f').explain();
+      }).then((stats) => {
+        stats.should.include({strategy: 'index', index: 'f', hint: 'f', keysExamined: 7});
+        return new Cursor(db).find({b: 3}).sort({f: -1}).hint('f').limit(1);
+      }).then((docs) => {
+        docs.should.have.length(1);
+        docs[0]._id.should.be.equal('3');
+      });
+    });
+
+    it('should force a full scan by $natural hint', function () {
+      return db.indexManager.ensureIndex({fieldName: 'f'}).then(() => {
+        return new Cursor(db).find({_id: '2', f: 10}).hint({$natural: 1}).explain();
+      }).then((stats) => {
+        stats.should.include({strategy: 'fullScan', index: null, docsExamined: 7});
+        stats.hint.should.be.deep.equal({$natural: 1});
+      });
+    });
+
+    it('should wait for a hinted index to be built', function () {
+      const cursor = new Cursor(db).find({f: 10}).hint('f');
+      db.indexManager.ensureIndex({fieldName: 'f'});
+      return cursor.explain().then((stats) => {
+        stats.should.include({strategy: 'index', keysExamined: 1, docsReturned: 1});
+      });
+    });
+
+    it('should reject an execution with unknown index', function () {
+      const cursor = new Cursor(db).find({f: 10}).hint('f');
+      return Promise.all([
+        cursor.exec().should.be.rejectedWith(/index "f" does not exist/),
+        cursor.hint().exec().should.eventually.have.length(1),
+      ]);
+    });
+
+    it('should throw an error for invalid hint', function () {
+      (() => new Cursor(db).hint(1)).should.throw(Error);
+      (() => new Cursor(db).hint({a: 1})).should.throw(Error);
+    });
   });
 
 
+  describe('$text', function () {
+    beforeEach(function () {
+      return Promise.all([
+        db.insert({_id: 't1', title: 'Coffee', body: 'How to brew coffee at home'}),
+        db.insert({_id: 't2', title: 'Tea', body: 'Brewing tea is easier than coffee'}),
+        db.insert({_id: 't3', title: 'Milk', body: 'Milk with coffee'}),
+      ]);
+    });
+
+    it('should find and rank documents by the text index', function () {
+      return db.indexManager.ensureIndex({
+        fieldName: ['title', 'body'], type: 'text', weights: {title: 5},
+      }).then(() => {
+        return new Cursor(db).find({$text: {$search: 'coffee -milk'}})
+          .sort({score: {$meta: 'textScore'}})
+          .project({title: 1, score: {$meta: 'textScore'}});
+      }).then((docs) => {
+        _.map(docs, '_id').should.be.deep.equal(['t1', 't2']);
+        docs[0].score.should.be.above(docs[1].score);
+        docs[0].should.have.keys('_id', 'title', 'score');
+        return new Cursor(db).find({$text: {$search: 'brewed'}}).explain();
+      }).then((stats) => {
+        stats.should.include({
+          strategy: 'index', index: 'title_text_body_text',
+          keysExamined: 2, docsReturned: 2, inMemorySort: false,
+        });
+      });
+    });
+
+    it('should wait for the text index to be built', function () {
+      const cursor = new Cursor(db).find({$text: {$search: 'tea'}});
+      db.indexManager.ensureIndex({fieldName: 'body', type: 'text'});
+      return cursor.then((docs) => {
+        _.map(docs, '_id').should.be.deep.equal(['t2']);
+      });
+    });
+
+    it('should reject an execution without a text index', function () {
+      return new Cursor(db).find({$text: {$search: 'tea'}})
+        .exec().should.be.rejectedWith(/text index required/);
+    });
+
+    it('should update and remove documents by a text query', function () {
+      return db.indexManager.ensureIndex({fieldName: 'title', type: 'text'}).then(() => {
+        return db.update({$text: {$search: 'tea coffee'}}, {$set: {found: true}}, {multi: true});
+      }).then((res) => {
+        res.modified.should.be.equal(2);
+        return db.remove({$text: {$search: 'milk'}});
+      }).then((removed) => {
+        _.map(removed, '_id').should.be.deep.equal(['t3']);
+        return db.find({found: true});
+      }).then((docs) => {
+        _.map(docs, '_id').should.be.deep.equal(['t1', 't2']);
+      });
+    });
+
+    it('should allow only one text index', function () {
+      return db.indexManager.ensureIndex({fieldName: 'title', type: 'text'}).then(() => {
+        (() => db.indexManager.ensureIndex({fieldName: 'body', type: 'text'}))
+          .should.throw(/only one text index/);
+      });
+    });
+  });
+
+  describe('#collation', function () {
+    beforeEach(function () {
+      return db.insertAll([
+        {_id: 'c1', name: 'apple', n: '10'},
+        {_id: 'c2', name: 'Apple', n: '9'},
+        {_id: 'c3', name: 'Banana', n: '100'},
+      ]);
+    });
+
+    it('should match and sort strings with the collation', function () {
+      return new Cursor(db, {name: 'APPLE'}).collation({locale: 'en', strength: 2}).then((docs) => {
+        _.map(docs, '_id').should.have.members(['c1', 'c2']);
+        return new Cursor(db, {n: {$exists: true}}, {
+          collation: {locale: 'en', numericOrdering: true},
+        }).sort({n: -1});
+      }).then((docs) => {
+        _.map(docs, '_id').should.be.deep.equal(['c3', 'c1', 'c2']);
+        return new Cursor(db, {name: 'APPLE'});
+      }).then((docs) => {
+        docs.should.have.length(0);
+      });
+    });
+
+    it('should use an index only with the same collation', function () {
+      return db.indexManager.ensureIndex({
+        fieldName: 'name', collation: {locale: 'en', strength: 2},
+      }).then(() => {
+        return new Cursor(db, {name: 'apple'}).collation({locale: 'en', strength: 2}).explain();
+      }).then((stats) => {
+        stats.should.include({strategy: 'index', index: 'name', docsReturned: 2});
+        return new Cursor(db, {name: 'apple'}).explain();
+      }).then((stats) => {
+        stats.should.include({strategy: 'fullScan', docsReturned: 1});
+        return db.count({name: 'APPLE'}, {collation: {locale: 'en', strength: 2}});
+      }).then((count) => {
+        count.should.be.equal(2);
+      });
+    });
+  });
+
+  describe('$near', function () {
+    beforeEach(function () {
+      return Promise.all([
+        db.insert({_id: 'n1', loc: [10, 10]}),
+        db.insert({_id: 'n2', loc: [[50, 50], [1, 1]]}),
+        db.insert({_id: 'n3', loc: {lng: 5, lat: 5}}),
+      ]);
+    });
+
+    it('should return documents in order of distance without an index', function () {
+      return new Cursor(db).find({loc: {$near: [0, 0]}}).then((docs) => {
+        _.map(docs, '_id').should.be.deep.equal(['n2', 'n3', 'n1']);
+      });
+    });
+
+    it('should retrive only nearest documents by a geo index', function () {
+      return db.indexManager.ensureIndex({fieldName: 'loc', type: '2d'}).then(() => {
+        const spy = sinon.spy(db.storage, 'get');
+        return new Cursor(db).find({loc: {$near: [9, 9]}}).limit(2).explain().then((stats) => {
+          stats.should.include({
+            strategy: 'index', index: 'loc_2d', inMemorySort: false,
+            keysExamined: 2, docsReturned: 2,
+          });
+          spy.should.have.callCount(2);
+          return new Cursor(db).find({loc: {$near: [9, 9], $maxDistance: 6}});
+        });
+      }).then((docs) => {
+        _.map(docs, '_id').should.be.deep.equal(['n1', 'n3']);
+        return new Cursor(db).find({loc: {$near: [0, 0]}}).sort({_id: -1});
+      }).then((docs) => {
+        _.map(docs, '_id').should.be.deep.equal(['n3', 'n2', 'n1']);
+      });
+    });
+
+    it('should sort all near documents before a limit', function () {
+      return db.indexManager.ensureIndex({fieldName: 'loc', type: '2d'}).then(() => {
+        return new Cursor(db).find({loc: {$near: [0, 0]}}).sort({_id: 1}).limit(2);
+      }).then((docs) => {
+        _.map(docs, '_id').should.be.deep.equal(['n1', 'n2']);
+        return new Cursor(db).find({loc: {$near: [0, 0]}}, {}).sort({_id: -1}).limit(1);
+      }).then((docs) => {
+        _.map(docs, '_id').should.be.deep.equal(['n3']);
+      });
+    });
+  });
 
   describe('#sortFunc', function () {
     it('should sort with custom function', function () {
@@ -407,6 +407,13 @@ describe('CursorObservable', () => {
       cursor.update.should.have.callCount(1);
     });
 
+    it('should update when called without documents', function () {
+      const cursor = new CursorObservable(db);
+      cursor.update = sinon.spy();
+      cursor.maybeUpdate();
+      cursor.update.should.have.callCount(1);
+    });
+
     it('should update when removed doc witihin previous result', function () {
       const cursor = new CursorObservable(db);
       cursor.update = sinon.spy();
@@ -418,6 +425,23 @@ describe('CursorObservable', () => {
       cursor.update.should.have.callCount(1);
     });
 
+    it('should update on any remove when the result is not a list of documents', function () {
+      const cursor = new CursorObservable(db);
+      cursor.update = sinon.spy();
+      cursor._latestResult = [1, null, 'a'];
+      cursor._updateLatestIds();
+      cursor.maybeUpdate(null, {_id: '1'});
+      cursor.update.should.have.callCount(1);
+      cursor._latestResult = 3;
+      cursor._updateLatestIds();
+      cursor.maybeUpdate(null, {_id: '2'});
+      cursor.update.should.have.callCount(2);
+      cursor._latestResult = null;
+      cursor._updateLatestIds();
+      cursor.maybeUpdate(null, {_id: '2'});
+      cursor.update.should.have.callCount(2);
+    });
+
     it('should update if match only old document', function() {
       const cursor = new CursorObservable(db);
       cursor.find({a: {$gt: 10}});
@@ -433,6 +457,27 @@ describe('CursorObservable', () => {
     });
   });
 
+  describe('#maybeUpdateMany', function () {
+    it('should update once if some change affects the result', function () {
+      const cursor = new CursorObservable(db);
+      cursor.find({a: {$gt: 10}});
+      cursor._latestResult = [{_id: '1', a: 11}];
+      cursor._updateLatestIds();
+      cursor.update = sinon.spy();
+      cursor.maybeUpdateMany([
+        {newDoc: {a: 1}, oldDoc: null},
+        {newDoc: {a: 11}, oldDoc: null},
+        {newDoc: {a: 12}, oldDoc: {a: 2}},
+      ]);
+      cursor.update.should.have.callCount(1);
+      cursor.maybeUpdateMany([
+        {newDoc: {a: 1}, oldDoc: null},
+        {newDoc: null, oldDoc: {_id: '2', a: 2}},
+      ]);
+      cursor.update.should.have.callCount(1);
+    });
+  });
+
   describe('#update', function () {
     it('should guarantee that only one _doUpdate invoked at one time', function () {
       const beforeUpdateCall = sinon.spy();
@@ -0,0 +1,134 @@
+import Database from '../../lib/Database';
+import Collection, { _resetStartup } from '../../lib/Collection';
+import StorageManager from '../../lib/StorageManager';
+import chai, {expect} from 'chai';
+import sinon from 'sinon';
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+chai.should();
+
+
+describe('Database', () => {
+  class StorageA extends StorageManager {}
+  class StorageB extends StorageManager {}
+
+  beforeEach(function () {
+    _resetStartup(10);
+  });
+
+  describe('#collection', function () {
+    it('should return the same collection for a name', function () {
+      const db = new Database();
+      const posts = db.collection('posts');
+      posts.should.be.instanceof(Collection);
+      posts.modelName.should.be.equal('posts');
+      db.collection('posts').should.be.equal(posts);
+      db.collection('users').should.not.be.equal(posts);
+    });
+
+    it('should create collections with options of the database', function () {
+      const idGenerator = sinon.spy(() => ({ value: 'id' }));
+      const dbA = new Database({storageManager: StorageA, idGenerator});
+      const dbB = new Database({storageManager: StorageB});
+      const postsA = dbA.collection('posts');
+      const postsB = dbB.collection('posts', {storageManager: StorageA});
+      const usersB = dbB.collection('users');
+      postsA.storage.should.be.instanceof(StorageA);
+      postsA.idGenerator.should.be.equal(idGenerator);
+      postsB.storage.should.be.instanceof(StorageA);
+      usersB.storage.should.be.instanceof(StorageB);
+      usersB.idGenerator.should.be.equal(Collection.defaultIdGenerator());
+      return Promise.all([
+        postsA.insert({a: 1}),
+        usersB.insert({a: 2}),
+      ]).then(() => Promise.all([postsA.ids({}), postsB.count({})])).then(([ids, count]) => {
+        ids.should.be.deep.equal(['id']);
+        count.should.be.equal(0);
+      });
+    });
+  });
+
+  describe('#listCollections', function () {
+    it('should return names of registered collections', function () {
+      const db = new Database();
+      db.listCollections().should.be.deep.equal([]);
+      db.collection('posts');
+      db.collection('users');
+      db.listCollections().should.be.deep.equal(['posts', 'users']);
+    });
+
+    it('should unregister a dropped collection', function () {
+      const db = new Database();
+      const posts = db.collection('posts');
+      db.collection('users');
+      return posts.insert({a: 1}).then(() => posts.drop()).then(() => {
+        db.listCollections().should.be.deep.equal(['users']);
+        db.collection('posts').should.not.be.equal(posts);
+      });
+    });
+  });
+
+  describe('#drop', function () {
+    it('should drop all collections', function () {
+      const db = new Database();
+      const posts = db.collection('posts');
+      const users = db.collection('users');
+      return Promise.all([
+        posts.insert({a: 1}),
+        users.insert({a: 1}),
+        users.ensureIndex({fieldName: 'a'}),
+      ]).then(() => db.drop()).then(() => {
+        db.listCollections().should.be.deep.equal([]);
+        users.indexes.should.have.keys('_id');
+        return Promise.all([posts.count({}), users.count({})]);
+      }).then((counts) => {
+        counts.should.be.deep.equal([0, 0]);
+      });
+    });
+  });
+
+  describe('#close', function () {
+    it('should close all collections and forbid new ones', function () {
+      const db = new Database();
+      const posts = db.collection('posts');
+      db.collection('users');
+      const closeSpy = sinon.spy(posts, 'close');
+      return posts.insert({a: 1}).then(() => db.close()).then(() => {
+        closeSpy.should.have.callCount(1);
+        db.listCollections().should.be.deep.equal([]);
+        (() => db.collection('posts')).should.throw(Error);
+      });
+    });
+
+    it('should stop the TTL monitor of collections', function () {
+      const clock = {
+        now: () => 0,
+        setInterval: sinon.spy(() => 1),
+        clearInterval: sinon.spy(),
+      };
+      const db = new Database({clock});
+      const posts = db.collection('posts');
+      return posts.ensureIndex({fieldName: 'a', expireAfterSeconds: 1}).then(() => {
+        clock.setInterval.should.have.callCount(1);
+        return db.close();
+      }).then(() => {
+        clock.clearInterval.should.have.callCount(1);
+        expect(posts.indexManager._ttlTimer).to.be.null;
+      });
+    });
+  });
+
+  describe('#transaction', function () {
+    it('should execute writes within a transaction', function () {
+      const db = new Database();
+      const posts = db.collection('posts');
+      return db.transaction((tx) => {
+        return tx.insert(posts, {_id: '1'}).then(() => {
+          throw new Error('fail');
+        });
+      }).should.be.rejectedWith('fail').then(() => posts.count({})).then((count) => {
+        count.should.be.equal(0);
+      });
+    });
+  });
+});
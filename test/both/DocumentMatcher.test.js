@@ -1,5 +1,6 @@
 import EJSON from '../../lib/EJSON';
 import DocumentMatcher, {makeLookupFunction} from '../../lib/DocumentMatcher';
+import TextIndex from '../../lib/TextIndex';
 import chai, {except, assert} from 'chai';
 import _ from 'lodash';
 chai.use(require('chai-as-promised'));
@@ -895,4 +896,40 @@ describe('DocumentMatcher', () => {
       // XXX still needs tests:
       // - non-scalar arguments to $gt, $lt, etc
     });
+
+    it('should match and score documents by $text', function () {
+      const textIndex = new TextIndex({fieldName: 'title'});
+      const matcher = new DocumentMatcher({$text: {$search: 'coffee -milk'}, a: 1}, {textIndex});
+      matcher.hasTextQuery.should.be.true;
+      matcher.textIndex.should.be.equal(textIndex);
+      matcher.documentMatches({title: 'Coffee', a: 1}).should.be.deep.equal({result: true, textScore: 1});
+      matcher.documentMatches({title: 'Coffee', a: 2}).should.be.deep.equal({result: false});
+      matcher.documentMatches({title: 'Coffee with milk', a: 1}).result.should.be.false;
+      matcher.documentMatches({body: 'Coffee', a: 1}).result.should.be.false;
+
+      // Without a text index all string fields used
+      const wildcard = new DocumentMatcher({$and: [{$text: {$search: 'coffee'}}]});
+      wildcard.documentMatches({body: ['Coffee']}).should.be.deep.equal({result: true, textScore: 1});
+      wildcard.documentMatches({body: 'Tea'}).result.should.be.false;
+
+      (() => new DocumentMatcher({$text: 'coffee'})).should.throw(Error);
+      (() => new DocumentMatcher({$text: {$search: 'a', $caseSensitive: true}})).should.throw(Error);
+      (() => new DocumentMatcher({a: {$elemMatch: {$text: {$search: 'a'}}}})).should.throw(Error);
+    });
+
+    it('should compare strings with a collation', function () {
+      const collation = {locale: 'en', strength: 2};
+      const match = (selector, doc) =>
+        new DocumentMatcher(selector, {collation}).documentMatches(doc).result;
+      match({a: 'apple'}, {a: 'Apple'}).should.be.true;
+      match({a: 'apple'}, {a: ['Pear', 'APPLE']}).should.be.true;
+      match({a: {$in: ['x', 'APPLE']}}, {a: 'apple'}).should.be.true;
+      match({a: {$ne: 'apple'}}, {a: 'Apple'}).should.be.false;
+      match({a: {$nin: ['APPLE']}}, {a: 'apple'}).should.be.false;
+      match({a: {$gte: 'B', $lt: 'c'}}, {a: 'banana'}).should.be.true;
+      match({a: {b: 'X'}}, {a: {b: 'x'}}).should.be.true;
+      match({a: /^apple$/}, {a: 'Apple'}).should.be.false;
+      new DocumentMatcher({a: 'apple'}).documentMatches({a: 'Apple'}).result.should.be.false;
+      new DocumentMatcher({a: 'apple'}, {collation}).collation.locale.should.be.equal('en');
+    });
 });
@@ -174,4 +174,22 @@ describe('DocumentProjector', function () {
     assert.equal(filteredDoc.a.x, 43, "projection returning deep copy - excluding");
   });
 
+  it('should add text score by $meta', function () {
+    const textScores = new Map([['1', 1.5]]);
+    const doc = {_id: '1', a: 1, b: 2};
+    assert.deepEqual(
+      new DocumentProjector({score: {$meta: 'textScore'}}).project(doc, {textScores}),
+      {_id: '1', a: 1, b: 2, score: 1.5}
+    );
+    assert.deepEqual(
+      new DocumentProjector({a: 1, score: {$meta: 'textScore'}}).project([doc], {textScores}),
+      [{_id: '1', a: 1, score: 1.5}]
+    );
+    assert.deepEqual(
+      new DocumentProjector({b: 0, score: {$meta: 'textScore'}}).project(doc),
+      {_id: '1', a: 1, score: 0}
+    );
+    assert.throws(() => new DocumentProjector({a: {$meta: 'other'}}), 'Unsupported $meta');
+  });
+
 });
@@ -55,6 +55,16 @@ describe('DocumentRetriver', () => {
       ]);
     });
 
+    it('should retrive only candidates from an index', function () {
+      return db.indexManager.ensureIndex({fieldName: 'a'}).then(() => {
+        return Promise.all([
+          retr.retriveForQeury({a: {$gte: 2}}).should.eventually
+            .be.deep.equal([{a: 2, _id: '2'}, {a: 3, _id: '3'}]),
+          retr.retriveForQeury({a: 5}).should.eventually.be.deep.equal([]),
+        ]);
+      });
+    });
+
     it('should use queryFilter for filtering documents', function () {
       retr.retriveForQeury({}, (d) => d._id === '1').should.eventually.have.length(1);
     });
@@ -69,6 +79,21 @@ describe('DocumentRetriver', () => {
           .be.deep.equal([{a: 2, _id: '2'}, {a: 1, _id: '1'}]),
       ]);
     });
+
+    it('should retrive only required number of documents with limit', function () {
+      const spy = sinon.spy(db.storage, 'get');
+      const qf = (d) => d.a !== 2;
+      return retr.retriveIds(qf, ['3', '2', '1'], {limit: 2}).then((docs) => {
+        docs.should.be.deep.equal([{a: 3, _id: '3'}, {a: 1, _id: '1'}]);
+        spy.should.have.callCount(3);
+        spy.reset();
+        return retr.retriveIds(qf, ['3', '2', '1'], {limit: 1});
+      }).then((docs) => {
+        docs.should.be.deep.equal([{a: 3, _id: '3'}]);
+        spy.should.have.callCount(1);
+        spy.restore();
+      });
+    });
   });
 
   describe('#retriveAll', function () {
@@ -367,4 +367,26 @@ describe('DocumentSorter', () => {
     keyCompatible({a: 1, b: 1, c: 1},
                   {c: {$lt: 3}}, [3, "bla", 4], true);
   });
+
+  describe('$meta sort', function () {
+    it('should sort by text score in descending order', function () {
+      const textScores = new Map([['1', 0.5], ['2', 2], ['3', 2]]);
+      const docs = [{_id: '1', a: 1}, {_id: '2', a: 2}, {_id: '3', a: 1}];
+      const sorter = new DocumentSorter({score: {$meta: 'textScore'}, a: 1});
+      docs.sort(sorter.getComparator({textScores}));
+      _.map(docs, '_id').should.be.deep.equal(['3', '2', '1']);
+
+      const arraySorter = new DocumentSorter([['score', {$meta: 'textScore'}]],
+        {matcher: new DocumentMatcher({score: 5})});
+      docs.sort(arraySorter.getComparator({textScores}));
+      _.map(docs, '_id').should.be.deep.equal(['3', '2', '1']);
+      arraySorter.getSpecParts().should.be.deep.equal([
+        {path: 'score', ascending: false, meta: 'textScore'},
+      ]);
+    });
+
+    it('should throw an error for unknown $meta', function () {
+      (() => new DocumentSorter({a: {$meta: 'other'}})).should.throw(Error);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,115 @@
+import GeoIndex from '../../lib/GeoIndex';
+import EJSON from '../../lib/EJSON';
+import chai from 'chai';
+import sinon from 'sinon';
+chai.use(require('sinon-chai'));
+chai.should();
+
+
+const point = (lon, lat) => ({type: 'Point', coordinates: [lon, lat]});
+
+describe('GeoIndex', () => {
+  describe('#constructor', function () {
+    it('should create an index of a known type', function () {
+      new GeoIndex({fieldName: 'loc', type: '2d'}).name.should.be.equal('loc_2d');
+      new GeoIndex({fieldName: 'loc', type: '2dsphere'}).name.should.be.equal('loc_2dsphere');
+      (() => new GeoIndex({fieldName: 'loc', type: '3d'})).should.throw(Error);
+      (() => new GeoIndex({fieldName: ['a', 'b'], type: '2d'})).should.throw(Error);
+    });
+  });
+
+  describe('2d', function () {
+    let index;
+    beforeEach(function () {
+      index = new GeoIndex({fieldName: 'loc', type: '2d', bucketSize: 10});
+      index.insert({_id: '1', loc: [0, 0]});
+      index.insert({_id: '2', loc: {x: 5, y: 5}});
+      index.insert({_id: '3', loc: [[100, 100], [31, 0]]});
+      index.insert({_id: '4', loc: [-50, 0]});
+      index.insert({_id: '5', loc: 'nowhere'});
+      index.insert({_id: '6'});
+    });
+
+    it('should index coordinate pairs', function () {
+      index.getAll().should.be.deep.equal(['1', '2', '3', '4']);
+      index.multikey.should.be.true;
+    });
+
+    it('should return ids in order of distance', function () {
+      index.getNear([30, 0]).should.be.deep.equal(['3', '2', '1', '4']);
+      index.getNear([30, 0], {maxDistance: 30}).should.be.deep.equal(['3', '2', '1']);
+      index.getNear([-40, 0], {limit: 1}).should.be.deep.equal(['4']);
+      index.getNear([0, 1], {limit: 2}).should.be.deep.equal(['1', '2']);
+    });
+
+    it('should remove and update points', function () {
+      index.remove({_id: '3'});
+      index.getNear([30, 0]).should.be.deep.equal(['2', '1', '4']);
+      index.update({_id: '1', loc: [0, 0]}, {_id: '1', loc: [29, 0]});
+      index.getNear([30, 0]).should.be.deep.equal(['1', '2', '4']);
+      index.revertUpdate({_id: '1', loc: [0, 0]}, {_id: '1', loc: [29, 0]});
+      index.getNear([30, 0]).should.be.deep.equal(['2', '1', '4']);
+    });
+
+    it('should check only buckets around the point with a limit', function () {
+      const grid = new GeoIndex({fieldName: 'loc', type: '2d'});
+      for (let x = 0; x < 30; x++) {
+        for (let y = 0; y < 30; y++) {
+          grid.insert({_id: `${x}:${y}`, loc: [x + 0.5, y + 0.5]});
+        }
+      }
+      const distanceSpy = sinon.spy(grid, '_getDistance');
+      grid.getNear([10.4, 20.3], {limit: 3}).slice(0, 3).should.be.deep.equal(
+        ['10:20', '10:19', '9:20']
+      );
+      distanceSpy.callCount.should.be.below(30);
+      grid.getNear([-100, -100], {limit: 1})[0].should.be.equal('0:0');
+      grid.getNear([15, 15]).should.have.length(900);
+    });
+  });
+
+  describe('2dsphere', function () {
+    let index;
+    beforeEach(function () {
+      index = new GeoIndex({fieldName: 'loc', type: '2dsphere'});
+      index.insert({_id: 'moscow', loc: point(37.62, 55.75)});
+      index.insert({_id: 'london', loc: point(-0.13, 51.51)});
+      index.insert({_id: 'tokyo', loc: point(139.69, 35.69)});
+      index.insert({_id: 'anchorage', loc: point(-149.9, 61.22)});
+      index.insert({_id: 'area', loc: {type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]}});
+    });
+
+    it('should return ids in order of distance on a sphere', function () {
+      index.getNear(point(2.35, 48.86)).should.be.deep.equal(
+        ['area', 'london', 'moscow', 'anchorage', 'tokyo']
+      );
+      index.getNear(point(2.35, 48.86), {maxDistance: 500000}).should.be.deep.equal(['area', 'london']);
+      index.getNear(point(2.35, 48.86), {limit: 1}).should.be.deep.equal(['area', 'london']);
+      index.getNear(point(179, 50), {limit: 1}).should.be.deep.equal(['area', 'anchorage']);
+      index.getNear(point(-179, 40), {limit: 2}).should.be.deep.equal(['area', 'anchorage', 'tokyo']);
+    });
+
+    it('should load serialized contents to a new index', function () {
+      const data = EJSON.parse(EJSON.stringify(index.serialize()));
+      const loaded = new GeoIndex({fieldName: 'loc', type: '2dsphere'});
+      loaded.load(data);
+      loaded.getNear(point(2.35, 48.86)).should.be.deep.equal(
+        ['area', 'london', 'moscow', 'anchorage', 'tokyo']
+      );
+    });
+
+    it('should find nearest points across the antimeridian and poles', function () {
+      const grid = new GeoIndex({fieldName: 'loc', type: '2dsphere', bucketSize: 10});
+      for (let lon = -175; lon < 180; lon += 10) {
+        for (let lat = -85; lat < 90; lat += 10) {
+          grid.insert({_id: `${lon}:${lat}`, loc: point(lon, lat)});
+        }
+      }
+      grid.getNear(point(179, 1), {limit: 2}).slice(0, 2).should.have.members(
+        ['175:5', '-175:5']
+      );
+      grid.getNear(point(0, 89), {limit: 1})[0].should.match(/:85$/);
+      grid.getNear(point(0, 89)).should.have.length(36 * 18);
+    });
+  });
+});
@@ -0,0 +1,268 @@
+import Collection from '../../lib/Collection';
+import StorageManager from '../../lib/StorageManager';
+import chai from 'chai';
+import sinon from 'sinon';
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+chai.should();
+
+
+// Storage that keeps data between collection instances
+// with the same model name, like a persistent storage
+const sharedStorages = {};
+class SharedStorageManager extends StorageManager {
+  _loadStorage() {
+    const name = this.db.modelName;
+    sharedStorages[name] = sharedStorages[name] || {};
+    this._storage = sharedStorages[name];
+    return Promise.resolve();
+  }
+}
+
+describe('IndexManager', () => {
+  let name = 0;
+  const createCollection = () => {
+    const db = new Collection(`test${name}`, {
+      storageManager: SharedStorageManager,
+      persistIndexes: true,
+      indexFlushDelay: 1,
+    });
+    db._lazyInitCollection();
+    return db;
+  };
+
+  beforeEach(function () {
+    name += 1;
+  });
+
+  describe('#persistIndexes', function () {
+    it('should load persisted indexes without a rebuild', function () {
+      const db = createCollection();
+      return db.indexManager.ensureIndex({fieldName: 'a'}).then(() => {
+        return db.insertAll([{_id: '1', a: 1}, {_id: '2', a: [2, 3]}]);
+      }).then(() => {
+        return db.indexManager.flushIndexes();
+      }).then(() => {
+        const state = sharedStorages[`test${name}.indexes`].state;
+        state.clean.should.be.true;
+        state.checksums.should.have.keys('_id', 'a');
+
+        const newDb = createCollection();
+        const spy = sinon.spy(newDb.storageManager, 'createReadStream');
+        return newDb.indexManager.ensureIndex({fieldName: 'a'}).then(() => {
+          spy.should.have.callCount(0);
+          newDb.indexes.a.getMatching(3).should.be.deep.equal(['2']);
+          newDb.indexes.a.multikey.should.be.true;
+          newDb.indexes._id.getAll().should.be.deep.equal(['1', '2']);
+        });
+      });
+    });
+
+    it('should flush indexes on close without waiting for the delay', function () {
+      const db = new Collection(`test${name}`, {
+        storageManager: SharedStorageManager,
+        persistIndexes: true,
+        indexFlushDelay: 100000,
+      });
+      return db.insertAll([{_id: '1', a: 1}]).then(() => {
+        return db.close();
+      }).then(() => {
+        const state = sharedStorages[`test${name}.indexes`].state;
+        state.clean.should.be.true;
+        state.checksums.should.have.keys('_id');
+      });
+    });
+
+    it('should rebuild indexes when the store is not consistent', function () {
+      const db = createCollection();
+      return db.insertAll([{_id: '1', a: 1}]).then(() => {
+        return db.indexManager.flushIndexes();
+      }).then(() => {
+        // Write is not finished, so the store stays inconsistent
+        db.indexManager.trackWrite(new Promise(() => {}));
+        return db.insert({_id: '2', a: 2});
+      }).then(() => {
+        return db.indexManager.flushIndexes();
+      }).then(() => {
+        sharedStorages[`test${name}.indexes`].state.clean.should.be.false;
+        const newDb = createCollection();
+        const spy = sinon.spy(newDb.storageManager, 'createReadStream');
+        return newDb.indexManager.ensureIndex({fieldName: '_id'}).then(() => {
+          spy.should.have.callCount(1);
+          newDb.indexes._id.getAll().should.be.deep.equal(['1', '2']);
+        });
+      });
+    });
+
+    it('should rebuild an index with corrupted data or other definition', function () {
+      const db = createCollection();
+      return db.indexManager.ensureIndex({fieldName: 'a'}).then(() => {
+        return db.insertAll([{_id: '1', a: 1}, {_id: '2', a: 1}]);
+      }).then(() => {
+        return db.indexManager.flushIndexes();
+      }).then(() => {
+        const store = sharedStorages[`test${name}.indexes`];
+        store['index:_id'].data = store['index:_id'].data.replace('"1"', '"3"');
+
+        const newDb = createCollection();
+        return Promise.all([
+          newDb.indexManager.ensureIndex({fieldName: '_id'}),
+          newDb.indexManager.ensureIndex({fieldName: 'a', sparse: true}),
+        ]).then(() => {
+          newDb.indexes._id.getAll().should.be.deep.equal(['1', '2']);
+          newDb.indexes.a.sparse.should.be.true;
+          newDb.indexes.a.getMatching(1).should.be.deep.equal(['1', '2']);
+        });
+      });
+    });
+
+    it('should save indexes automatically after writes', function () {
+      const db = createCollection();
+      return db.insert({_id: '1', a: 1}).then(() => {
+        return new Promise(resolve => setTimeout(resolve, 20));
+      }).then(() => {
+        const store = sharedStorages[`test${name}.indexes`];
+        store.state.clean.should.be.true;
+        store['index:_id'].data.should.contain('"1"');
+      });
+    });
+
+    it('should clear indexes before the storage and remove dropped indexes', function () {
+      const db = createCollection();
+      const clearSpy = sinon.spy(db.indexManager, 'clearIndexes');
+      const destroySpy = sinon.spy(db.storageManager, 'destroy');
+      return db.indexManager.ensureIndex({fieldName: 'a'}).then(() => {
+        return db.insertAll([{_id: '1', a: 1}]);
+      }).then(() => {
+        return db.indexManager.flushIndexes();
+      }).then(() => {
+        sharedStorages[`test${name}.indexes`].should.have.property('index:a');
+        return db.drop();
+      }).then(() => {
+        clearSpy.should.have.been.calledBefore(destroySpy);
+        sharedStorages[`test${name}.indexes`].should.not.have.property('index:a');
+      });
+    });
+
+    it('should not use the index store without the option', function () {
+      const db = new Collection(`test${name}`, {storageManager: SharedStorageManager});
+      return db.insert({_id: '1', a: 1}).then(() => {
+        return db.indexManager.flushIndexes();
+      }).then(() => {
+        sharedStorages.should.not.have.property(`test${name}.indexes`);
+      });
+    });
+  });
+
+  describe('#clearIndexes', function () {
+    it('should remove all documents from indexes and keep indexes', function () {
+      const db = new Collection(`test${name}`);
+      return db.insertAll([{_id: '1', a: 1}, {_id: '2', a: 2}]).then(() => {
+        return db.ensureIndex({fieldName: 'a'});
+      }).then(() => {
+        return db.indexManager.clearIndexes();
+      }).then(() => {
+        db.indexes.should.have.keys('_id', 'a');
+        db.indexes._id.getAll().should.be.deep.equal([]);
+        db.indexes.a.getAll().should.be.deep.equal([]);
+      });
+    });
+  });
+
+  describe('#removeExpiredDocuments', function () {
+    let clock;
+    let db;
+    beforeEach(function () {
+      clock = {
+        time: 100000,
+        timer: {unref: sinon.spy()},
+        now: () => clock.time,
+        setInterval: sinon.spy((fn) => {
+          clock.tick = fn;
+          return clock.timer;
+        }),
+        clearInterval: sinon.spy(),
+      };
+      db = new Collection(`test${name}`, {clock, ttlMonitorInterval: 1000});
+      db._lazyInitCollection();
+      return db.insertAll([
+        {_id: '1', expiresAt: new Date(90000)},
+        {_id: '2', expiresAt: [new Date(120000), new Date(99000)]},
+        {_id: '3', expiresAt: new Date(110000)},
+        {_id: '4', expiresAt: 1},
+        {_id: '5'},
+      ]);
+    });
+
+    it('should remove documents with expired dates', function () {
+      const removeSpy = sinon.spy();
+      db.on('remove', removeSpy);
+      return db.indexManager.ensureIndex({
+        fieldName: 'expiresAt', expireAfterSeconds: 5,
+      }).then(() => {
+        return db.indexManager.removeExpiredDocuments();
+      }).then((removed) => {
+        removed.should.be.equal(1);
+        removeSpy.should.have.been.calledWith(null, sinon.match({_id: '1'}));
+        clock.time = 104000;
+        return db.indexManager.removeExpiredDocuments();
+      }).then((removed) => {
+        removed.should.be.equal(1);
+        return db.ids();
+      }).then((ids) => {
+        ids.should.have.members(['3', '4', '5']);
+      });
+    });
+
+    it('should periodically remove expired documents while there is a TTL index', function () {
+      clock.setInterval.should.have.callCount(0);
+      return db.indexManager.ensureIndex({
+        fieldName: 'expiresAt', expireAfterSeconds: 0,
+      }).then(() => {
+        clock.setInterval.should.have.been.calledWith(sinon.match.func, 1000);
+        clock.timer.unref.should.have.callCount(1);
+        const spy = sinon.spy(db.indexManager, 'removeExpiredDocuments');
+        clock.tick();
+        spy.should.have.callCount(1);
+        return spy.firstCall.returnValue;
+      }).then(() => {
+        return db.ids();
+      }).then((ids) => {
+        ids.should.have.members(['3', '4', '5']);
+        return db.indexManager.removeIndex('expiresAt');
+      }).then(() => {
+        clock.clearInterval.should.have.been.calledWith(clock.timer);
+      });
+    });
+
+    it('should emit an error of the periodical removal once', function () {
+      const err = new Error('fail');
+      const errorSpy = sinon.spy();
+      db.on('error', errorSpy);
+      return db.indexManager.ensureIndex({
+        fieldName: 'expiresAt', expireAfterSeconds: 0,
+      }).then(() => {
+        sinon.stub(db.storageManager, 'delete').returns(Promise.reject(err));
+        const spy = sinon.spy(db.indexManager, 'removeExpiredDocuments');
+        clock.tick();
+        return spy.firstCall.returnValue.then(() => {
+          throw new Error('should fail');
+        }, (e) => {
+          e.should.be.equal(err);
+        });
+      }).then(() => new Promise(resolve => setTimeout(resolve, 0))).then(() => {
+        errorSpy.should.have.callCount(1);
+        errorSpy.should.have.been.calledWith(err);
+      });
+    });
+
+    it('should validate expireAfterSeconds', function () {
+      (() => db.indexManager.ensureIndex({
+        fieldName: 'a', expireAfterSeconds: -1,
+      })).should.throw(Error);
+      (() => db.indexManager.ensureIndex({
+        fieldName: ['a', 'b'], expireAfterSeconds: 1,
+      })).should.throw(Error);
+    });
+  });
+});
@@ -0,0 +1,325 @@
+import Collection from '../../lib/Collection';
+import QueryPlanner, {getSelectorIds, collectFieldSelectors} from '../../lib/QueryPlanner';
+import {makeCollation} from '../../lib/Collation';
+import chai, {expect} from 'chai';
+chai.use(require('chai-as-promised'));
+chai.should();
+
+
+describe('QueryPlanner', () => {
+  let db, planner;
+  beforeEach(function () {
+    db = new Collection('test');
+    planner = new QueryPlanner(db);
+    return db.insertAll([
+      {_id: '1', a: 1, b: 'x'},
+      {_id: '2', a: 2, b: 'y'},
+      {_id: '3', a: 3, b: 'x'},
+      {_id: '4', a: 'str'},
+      {_id: '5'},
+    ]).then(() => db.indexManager.ensureIndex({fieldName: 'a'}));
+  });
+
+  describe('#getSelectorIds', function () {
+    it('should return ids of id-only queries', function () {
+      getSelectorIds('1').should.be.deep.equal(['1']);
+      getSelectorIds({_id: 2}).should.be.deep.equal([2]);
+      getSelectorIds({_id: {$in: ['1', '2']}}).should.be.deep.equal(['1', '2']);
+      expect(getSelectorIds({a: 1})).to.be.undefined;
+      expect(getSelectorIds({_id: '1', a: 1})).to.be.undefined;
+    });
+  });
+
+  describe('#collectFieldSelectors', function () {
+    it('should collect selectors from $and', function () {
+      collectFieldSelectors({
+        a: 1,
+        $and: [{a: {$gt: 0}}, {b: 2, $and: [{c: 3}]}],
+        $or: [{d: 1}],
+      }).should.be.deep.equal({
+        a: [1, {$gt: 0}],
+        b: [2],
+        c: [3],
+      });
+    });
+  });
+
+  describe('#plan', function () {
+    it('should use ids fast path', function () {
+      planner.plan('1').should.be.deep.equal({type: 'ids', ids: ['1']});
+      planner.plan({_id: {$in: ['2']}}).should.be.deep.equal({type: 'ids', ids: ['2']});
+    });
+
+    it('should do a full scan if no index could be used', function () {
+      planner.plan({}).type.should.be.equal('fullScan');
+      planner.plan(null).type.should.be.equal('fullScan');
+      planner.plan(function () { return true; }).type.should.be.equal('fullScan');
+      planner.plan({b: 'x'}).type.should.be.equal('fullScan');
+      planner.plan({a: /s/}).type.should.be.equal('fullScan');
+      planner.plan({a: {$ne: 1}}).type.should.be.equal('fullScan');
+      planner.plan({$or: [{a: 1}, {a: 2}]}).type.should.be.equal('fullScan');
+      planner.plan({_id: null}).type.should.be.equal('fullScan');
+    });
+
+    it('should use an index for equality', function () {
+      planner.plan({a: 2, b: 'y'}).should.be.deep.equal({
+        type: 'index', index: 'a', ids: ['2'],
+      });
+      planner.plan({a: null}).ids.should.be.deep.equal(['5']);
+    });
+
+    it('should use an index for $in', function () {
+      planner.plan({a: {$in: [3, 1, 'str', 3]}}).ids
+        .should.be.deep.equal(['3', '1', '4']);
+      planner.plan({a: {$in: [1, /s/]}}).type.should.be.equal('fullScan');
+    });
+
+    it('should use an index for ranges', function () {
+      planner.plan({a: {$gt: 1, $lte: 3}}).ids.should.be.deep.equal(['2', '3']);
+      planner.plan({a: {$gte: 2, $in: [1, 2]}}).ids.should.be.deep.equal(['2']);
+    });
+
+    it('should use an index for $and', function () {
+      planner.plan({$and: [{a: {$gt: 1}}, {a: {$lt: 3}}]}).ids
+        .should.be.deep.equal(['2']);
+    });
+
+    it('should choose an index with less candidates', function () {
+      planner.plan({_id: {$gte: '4'}, a: {$gte: 1}}).should.be.deep.equal({
+        type: 'index', index: '_id', ids: ['4', '5'],
+      });
+    });
+
+    it('should not use an index while it is building', function () {
+      const buildPromise = db.indexManager.ensureIndex({fieldName: 'b'});
+      planner.plan({b: 'x'}).type.should.be.equal('fullScan');
+      return buildPromise.then(() => {
+        planner.plan({b: 'x'}).ids.should.be.deep.equal(['1', '3']);
+      });
+    });
+
+    it('should use a multikey index', function () {
+      return db.insertAll([
+        {_id: '6', a: [1, 5]},
+        {_id: '7', a: [[1, 5]]},
+        {_id: '8', a: [0, 2]},
+      ]).then(() => {
+        db.indexes.a.multikey.should.be.true;
+        planner.plan({a: 1}).ids.should.be.deep.equal(['1', '6']);
+        planner.plan({a: [1, 5]}).ids.should.be.deep.equal(['1', '6', '7']);
+        planner.plan({a: {$in: [5, 'str']}}).ids.should.be.deep.equal(['6', '4']);
+        planner.plan({a: {$all: [1, 5]}}).ids.should.be.deep.equal(['6']);
+        planner.plan({a: {$gt: 1, $lt: 3}}).ids.should.be.deep.equal(['2', '8', '6']);
+        planner.plan({a: {$elemMatch: {$gt: 1, $lt: 3}}}).ids
+          .should.be.deep.equal(['2', '8']);
+        planner.plan({a: []}).type.should.be.equal('fullScan');
+      });
+    });
+
+    it('should not use a sparse index for selectors matching missing field', function () {
+      return db.indexManager.ensureIndex({fieldName: 'b', sparse: true}).then(() => {
+        planner.plan({b: 'x'}).ids.should.be.deep.equal(['1', '3']);
+        planner.plan({b: null}).type.should.be.equal('fullScan');
+        planner.plan({b: {$in: ['x', null]}}).type.should.be.equal('fullScan');
+        planner.plan({b: {$gte: null}}).type.should.be.equal('fullScan');
+        planner.plan({b: {$in: ['y'], $lte: null}}).ids.should.be.deep.equal(['2']);
+      });
+    });
+
+    it('should use a partial index only when query implies the filter', function () {
+      return db.indexManager.removeIndex('a').then(() =>
+        db.indexManager.ensureIndex({
+          fieldName: 'b',
+          partialFilterExpression: {a: {$gt: 1}, b: {$exists: true}},
+        })
+      ).then(() => {
+        db.indexes.b.getAll().should.be.deep.equal(['3', '2']);
+        planner.plan({b: 'x'}).type.should.be.equal('fullScan');
+        planner.plan({b: 'x', a: {$gte: 1}}).type.should.be.equal('fullScan');
+        planner.plan({b: 'x', a: {$gt: 1}}).ids.should.be.deep.equal(['3']);
+        planner.plan({b: 'x', a: {$gte: 2}}).ids.should.be.deep.equal(['3']);
+        planner.plan({b: 'x', a: {$in: [2, 3]}}).ids.should.be.deep.equal(['3']);
+        planner.plan({b: 'x', a: {$in: [1, 3]}}).type.should.be.equal('fullScan');
+        planner.plan({$and: [{b: 'y'}, {a: 3}]}).ids.should.be.deep.equal(['2']);
+        planner.plan({b: 'x', a: 'str'}).type.should.be.equal('fullScan');
+      });
+    });
+
+    it('should not use a partial index for equalities to null', function () {
+      return db.indexManager.removeIndex('a').then(() =>
+        db.insert({_id: '6', a: null})
+      ).then(() =>
+        db.indexManager.ensureIndex({
+          fieldName: 'a', partialFilterExpression: {a: {$exists: true}},
+        })
+      ).then(() => {
+        planner.plan({a: null}).type.should.be.equal('fullScan');
+        planner.plan({a: {$in: [1, null]}}).type.should.be.equal('fullScan');
+        planner.plan({a: {$in: [1, 2]}}).ids.should.be.deep.equal(['1', '2']);
+        return Promise.all([db.ids({a: null}), db.count({a: null})]);
+      }).then(([ids, count]) => {
+        ids.should.have.members(['5', '6']);
+        count.should.be.equal(2);
+      });
+    });
+
+    it('should order ids by a sort index', function () {
+      const sort = [{path: 'a', ascending: false}];
+      planner.plan({}, {sort}).should.be.deep.equal({
+        type: 'index', index: 'a', sortIndex: 'a', ids: ['4', '3', '2', '1', '5'],
+      });
+      planner.plan({_id: {$in: ['1', '2', '3']}}, {sort, limit: 2})
+        .should.be.deep.equal({
+          type: 'ids', index: 'a', sortIndex: 'a', ids: ['3', '2', '1'],
+        });
+      planner.plan({_id: {$in: ['1', '2', '3']}}, {sort, limit: 3})
+        .should.be.deep.equal({type: 'ids', ids: ['1', '2', '3']});
+      planner.plan({}, {sort: [{path: 'b', ascending: true}]}).type
+        .should.be.equal('fullScan');
+    });
+
+    it('should sort by a compound index with fields fixed by equalities', function () {
+      return db.indexManager.removeIndex('a').then(() =>
+        db.indexManager.ensureIndex({fieldName: ['b', ['a', 'desc']]})
+      ).then(() => {
+        const sortDesc = [{path: 'a', ascending: false}];
+        const sortAsc = [{path: 'a', ascending: true}];
+        planner.getSortIndex(sortDesc, null, null, {b: 'x'}).should.be.deep.equal({
+          index: 'b_1_a_-1', reverse: false, prefix: ['x'],
+        });
+        expect(planner.getSortIndex(sortDesc)).to.be.null;
+        planner.plan({b: 'x'}, {sort: sortDesc}).should.be.deep.equal({
+          type: 'index', index: 'b_1_a_-1', sortIndex: 'b_1_a_-1', ids: ['3', '1'],
+        });
+        planner.plan({b: 'x', a: {$gt: 0}}, {sort: sortAsc}).should.be.deep.equal({
+          type: 'index', index: 'b_1_a_-1', sortIndex: 'b_1_a_-1', ids: ['1', '3'],
+        });
+        planner.plan({b: 'x', _id: {$in: ['1', '2']}}, {sort: sortAsc}).ids
+          .should.be.deep.equal(['1']);
+        expect(planner.plan({b: {$gt: 'a'}}, {sort: sortAsc}).sortIndex).to.be.undefined;
+        return db.find({b: 'x'}).sort({a: -1}).explain();
+      }).then((stats) => {
+        stats.inMemorySort.should.be.false;
+        stats.sortIndex.should.be.equal('b_1_a_-1');
+      });
+    });
+
+    it('should not use multikey, sparse or partial index for sorting', function () {
+      return Promise.all([
+        db.indexManager.ensureIndex({fieldName: 'b', sparse: true}),
+        db.indexManager.ensureIndex({fieldName: 'c', partialFilterExpression: {a: 1}}),
+        db.insert({_id: '6', a: [1, 2]}),
+      ]).then(() => {
+        expect(planner.getSortIndex([{path: 'a', ascending: true}])).to.be.null;
+        expect(planner.getSortIndex([{path: 'b', ascending: true}])).to.be.null;
+        expect(planner.getSortIndex([{path: 'c', ascending: true}])).to.be.null;
+        planner.getSortIndex([{path: '_id', ascending: false}])
+          .should.be.deep.equal({index: '_id', reverse: true});
+      });
+    });
+
+    it('should return covered ids only for queries answered by indexes', function () {
+      planner.getCoveredIds({}).should.be.deep.equal(['1', '2', '3', '4', '5']);
+      planner.getCoveredIds(null).should.have.length(5);
+      planner.getCoveredIds('1').should.be.deep.equal(['1']);
+      planner.getCoveredIds({_id: {$in: ['1', '6', '1']}}).should.be.deep.equal(['1']);
+      planner.getCoveredIds({a: {$gt: 1, $lte: 3}}).should.be.deep.equal(['2', '3']);
+      planner.getCoveredIds({a: {$in: [1, 'str']}}).should.be.deep.equal(['1', '4']);
+      planner.getCoveredIds({$and: [{a: {$gt: 1}}, {a: 3}]}).should.be.deep.equal(['3']);
+      planner.getCoveredIds({a: null}).should.be.deep.equal(['5']);
+      expect(planner.getCoveredIds({_id: {$in: ['1']}, a: 1})).to.be.null;
+      expect(planner.getCoveredIds({a: 1, b: 'x'})).to.be.null;
+      expect(planner.getCoveredIds({a: /s/})).to.be.null;
+      expect(planner.getCoveredIds({a: {$ne: 1}})).to.be.null;
+      expect(planner.getCoveredIds({a: 1, $or: [{b: 'x'}]})).to.be.null;
+      expect(planner.getCoveredIds({b: 'x'})).to.be.null;
+    });
+
+    it('should return covered ids by a compound index', function () {
+      return db.indexManager.ensureIndex({fieldName: ['b', 'a']}).then(() => {
+        planner.getCoveredIds({b: 'x'}).should.be.deep.equal(['1', '3']);
+        planner.getCoveredIds({b: 'x', a: {$gt: 1}}).should.be.deep.equal(['3']);
+        expect(planner.getCoveredIds({b: {$gt: 'a'}, a: 1})).to.be.null;
+        expect(planner.getCoveredIds({a: 1, c: 1})).to.be.null;
+      });
+    });
+
+    it('should use a hinted index', function () {
+      return db.indexManager.ensureIndex({fieldName: 'b'}).then(() => {
+        planner.plan({a: 1, b: 'x'}, {hint: 'b'}).should.be.deep.equal({
+          type: 'index', index: 'b', ids: ['1', '3'],
+        });
+        planner.plan('2', {hint: '_id'}).ids.should.be.deep.equal(['2']);
+        planner.plan({a: 1}, {hint: 'b'}).ids.should.be.deep.equal(['4', '5', '1', '3', '2']);
+        planner.plan({a: 1}, {hint: {$natural: 1}}).should.be.deep.equal({type: 'fullScan'});
+        (() => planner.plan({a: 1}, {hint: 'c'})).should.throw(/does not exist/);
+      });
+    });
+
+    it('should use a compound index for a prefix and a range', function () {
+      return db.indexManager.removeIndex('a').then(() =>
+        db.indexManager.ensureIndex({fieldName: ['b', ['a', 'desc']]})
+      ).then(() => {
+        planner.plan({b: 'x'}).should.be.deep.equal({
+          type: 'index', index: 'b_1_a_-1', ids: ['3', '1'],
+        });
+        planner.plan({b: 'x', a: {$lt: 3}}).ids.should.be.deep.equal(['1']);
+        planner.plan({b: 'x', a: 3}).ids.should.be.deep.equal(['3']);
+        planner.plan({b: {$gte: 'y'}}).ids.should.be.deep.equal(['2']);
+        planner.plan({a: 1}).type.should.be.equal('fullScan');
+      });
+    });
+
+    it('should use a geo index for $near in order of distance', function () {
+      return db.insertAll([
+        {_id: 'p1', loc: [10, 10], geo: {type: 'Point', coordinates: [10, 10]}},
+        {_id: 'p2', loc: [1, 1], geo: {type: 'Point', coordinates: [1, 1]}},
+        {_id: 'p3', loc: [5, 5], geo: {type: 'Point', coordinates: [5, 5]}},
+      ]).then(() => Promise.all([
+        db.indexManager.ensureIndex({fieldName: 'loc', type: '2d'}),
+        db.indexManager.ensureIndex({fieldName: 'geo', type: '2dsphere'}),
+      ])).then(() => {
+        planner.plan({loc: {$near: [0, 0]}}).should.be.deep.equal({
+          type: 'index', index: 'loc_2d', sortedByDistance: true, ids: ['p2', 'p3', 'p1'],
+        });
+        planner.plan({loc: {$near: [0, 0], $maxDistance: 8}}).ids.should.be.deep.equal(['p2', 'p3']);
+        planner.plan({loc: {$near: [0, 0]}}, {limit: 1}).ids.should.be.deep.equal(['p2']);
+        planner.plan({loc: {$near: [0, 0]}, a: 1}, {limit: 1}).ids.should.be.deep.equal(['p2', 'p3', 'p1']);
+        planner.plan({geo: {$near: {$geometry: {type: 'Point', coordinates: [9, 9]}}}}).should.include({
+          index: 'geo_2dsphere', sortedByDistance: true,
+        });
+        planner.plan({geo: {$near: [0, 0]}}).type.should.be.equal('fullScan');
+        planner.plan({loc: {$near: {$geometry: {type: 'Point', coordinates: [0, 0]}}}}).type.should.be.equal('fullScan');
+      });
+    });
+  });
+
+  describe('collation', function () {
+    it('should use only indexes with the same collation for strings', function () {
+      const collation = makeCollation({locale: 'en', strength: 2});
+      return db.insertAll([
+        {_id: 'A', a: 'Str', b: 'X'},
+      ]).then(() => db.indexManager.ensureIndex({
+        fieldName: 'b', name: 'b_en', collation: {locale: 'en', strength: 2},
+      })).then(() => {
+        planner.plan({a: 'str'}, {collation}).type.should.be.equal('fullScan');
+        planner.plan({a: 1}, {collation}).should.include({type: 'index', index: 'a'});
+        planner.plan({b: 'x'}, {collation}).should.be.deep.equal({
+          type: 'index', index: 'b_en', ids: ['1', '3', 'A'],
+        });
+        planner.plan({b: 'x'}).type.should.be.equal('fullScan');
+        planner.plan({_id: 'a'}, {collation}).type.should.be.equal('fullScan');
+        planner.plan({_id: 'A'}).type.should.be.equal('ids');
+        planner.plan({}, {collation, sort: [{path: 'b', ascending: true}]})
+          .sortIndex.should.be.equal('b_en');
+        expect(planner.plan({}, {sort: [{path: 'b', ascending: true}]}).sortIndex)
+          .to.be.undefined;
+        planner.plan({b: 'x'}, {hint: 'b_en'}).ids.should.have.length(6);
+        planner.plan({b: 'x'}, {hint: 'b_en', collation}).ids.should.have.length(3);
+        planner.getCoveredIds({b: 'X'}, {collation}).should.be.deep.equal(['1', '3', 'A']);
+        expect(planner.getCoveredIds({b: 'X'})).to.be.null;
+        expect(planner.getCoveredIds({_id: 'a'}, {collation})).to.be.null;
+      });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import TextIndex from '../../lib/TextIndex';
+import EJSON from '../../lib/EJSON';
+import chai from 'chai';
+chai.should();
+
+
+describe('TextIndex', () => {
+  let index;
+  beforeEach(function () {
+    index = new TextIndex({fieldName: ['title', 'tags', 'meta.text'], weights: {title: 10}});
+    index.insert({_id: '1', title: 'Coffee brewing', tags: ['drinks', 'morning']});
+    index.insert({_id: '2', title: 'Tea', meta: [{text: 'brewed green tea'}]});
+    index.insert({_id: '3', title: 123});
+  });
+
+  describe('#constructor', function () {
+    it('should generate name of the index', function () {
+      index.name.should.be.equal('title_text_tags_text_meta.text_text');
+      index.type.should.be.equal('text');
+      new TextIndex({fieldName: 'a'}).name.should.be.equal('a_text');
+    });
+
+    it('should throw an error without a field', function () {
+      (() => new TextIndex()).should.throw(Error);
+      (() => new TextIndex({fieldName: ['a', '']})).should.throw(Error);
+    });
+  });
+
+  describe('#insert', function () {
+    it('should index terms of all fields', function () {
+      index.getMatching('brew').should.be.deep.equal(['1', '2']);
+      index.getMatching('drink').should.be.deep.equal(['1']);
+      index.getMatching('green').should.be.deep.equal(['2']);
+      index.getAll().should.be.deep.equal(['1', '2']);
+    });
+
+    it('should index all string fields with a wildcard', function () {
+      const idx = new TextIndex({fieldName: '$**'});
+      idx.insert({_id: 'abc', a: 'one', b: {c: ['two']}});
+      idx.getMatching('two').should.be.deep.equal(['abc']);
+      idx.getMatching('abc').should.be.deep.equal([]);
+    });
+  });
+
+  describe('#remove', function () {
+    it('should remove all terms of the document', function () {
+      index.remove({_id: '1', title: 'Coffee brewing', tags: ['drinks', 'morning']});
+      index.getMatching('brew').should.be.deep.equal(['2']);
+      index.getMatching('coffee').should.be.deep.equal([]);
+      index.getAll().should.be.deep.equal(['2']);
+    });
+  });
+
+  describe('#update', function () {
+    it('should replace terms of the document', function () {
+      const oldDoc = {_id: '2', title: 'Tea', meta: [{text: 'brewed green tea'}]};
+      const newDoc = {_id: '2', title: 'Black tea'};
+      index.update(oldDoc, newDoc);
+      index.getMatching('green').should.be.deep.equal([]);
+      index.getMatching('black').should.be.deep.equal(['2']);
+      index.revertUpdate(oldDoc, newDoc);
+      index.getMatching('green').should.be.deep.equal(['2']);
+      index.getMatching('black').should.be.deep.equal([]);
+    });
+  });
+
+  describe('#getCandidateIds', function () {
+    it('should return ids of documents with any term', function () {
+      index.getCandidateIds(index.parseSearch('tea morning')).should.be.deep.equal(['2', '1']);
+      index.getCandidateIds(index.parseSearch('-tea')).should.be.deep.equal([]);
+    });
+  });
+
+  describe('#scoreDocument', function () {
+    it('should score documents by weights and frequency of terms', function () {
+      const search = index.parseSearch('brew');
+      const titleScore = index.scoreDocument({_id: '1', title: 'brewing'}, search);
+      const textScore = index.scoreDocument({_id: '1', meta: {text: 'brewing'}}, search);
+      titleScore.should.be.equal(10);
+      textScore.should.be.equal(1);
+      index.scoreDocument({_id: '1', meta: {text: 'brewing brewing'}}, search).should.be.equal(1.5);
+      index.scoreDocument({_id: '1', meta: {text: 'brewing tea'}}, search).should.be.equal(0.75);
+      index.scoreDocument({_id: '1', title: 'tea'}, search).should.be.equal(0);
+    });
+
+    it('should check phrases and negations', function () {
+      const doc = {_id: '1', title: 'Green tea, hot water'};
+      index.scoreDocument(doc, index.parseSearch('"green tea"')).should.be.above(0);
+      index.scoreDocument(doc, index.parseSearch('"tea green"')).should.be.equal(0);
+      index.scoreDocument(doc, index.parseSearch('tea -water')).should.be.equal(0);
+      index.scoreDocument(doc, index.parseSearch('tea -"cold water"')).should.be.above(0);
+      index.scoreDocument(doc, index.parseSearch('tea -"hot water"')).should.be.equal(0);
+    });
+  });
+
+  describe('#serialize', function () {
+    it('should load serialized contents to a new index', function () {
+      const data = EJSON.parse(EJSON.stringify(index.serialize()));
+      data.definition.should.be.deep.equal(index.getDefinition());
+      const loaded = new TextIndex({fieldName: ['title', 'tags', 'meta.text'], weights: {title: 10}});
+      loaded.load(data);
+      loaded.getAll().should.be.deep.equal(['1', '2']);
+      loaded.getMatching('brew').should.be.deep.equal(['1', '2']);
+    });
+  });
+});
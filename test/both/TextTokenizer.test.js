@@ -0,0 +1,44 @@
+import TextTokenizer from '../../lib/TextTokenizer';
+import chai from 'chai';
+chai.should();
+
+
+describe('TextTokenizer', () => {
+  describe('#tokenize', function () {
+    it('should lowercase words and remove stop words', function () {
+      const tokenizer = new TextTokenizer();
+      tokenizer.tokenize('The Quick brown FOX, and a dog!').should.be.deep.equal(
+        ['quick', 'brown', 'fox', 'dog']
+      );
+      tokenizer.tokenize('').should.be.deep.equal([]);
+      tokenizer.tokenize('Don\'t stop').should.be.deep.equal(['dont', 'stop']);
+    });
+
+    it('should stem words', function () {
+      const tokenizer = new TextTokenizer();
+      tokenizer.tokenize('running runs run').should.be.deep.equal(['run', 'run', 'run']);
+      tokenizer.tokenize('indexes indexed indexing').should.be.deep.equal(['index', 'index', 'index']);
+      tokenizer.tokenize('stories story quickly class').should.be.deep.equal(
+        ['story', 'story', 'quick', 'class']
+      );
+    });
+
+    it('should use custom stop words and disable stemming', function () {
+      const tokenizer = new TextTokenizer({stopWords: ['fox'], stemming: false});
+      tokenizer.tokenize('the running fox').should.be.deep.equal(['the', 'running']);
+    });
+  });
+
+  describe('#parseSearch', function () {
+    it('should parse terms, phrases and negations', function () {
+      const tokenizer = new TextTokenizer();
+      tokenizer.parseSearch('coffee -milk "Sugar Cubes" -"hot water" the coffees').should.be.deep.equal({
+        terms: ['coffee', 'sugar', 'cube'],
+        phrases: ['sugar cubes'],
+        negatedTerms: ['milk'],
+        negatedPhrases: ['hot water'],
+      });
+      tokenizer.parseSearch('').terms.should.be.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,267 @@
+import Collection from '../../lib/Collection';
+import Transaction from '../../lib/Transaction';
+import DuplicateKeyError from '../../lib/DuplicateKeyError';
+import chai, {expect} from 'chai';
+import sinon from 'sinon';
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+chai.should();
+
+
+describe('Transaction', () => {
+  let users, posts;
+  beforeEach(function () {
+    users = new Collection('users');
+    posts = new Collection('posts');
+    return Promise.all([
+      users.insertAll([{_id: '1', name: 'a', posts: 0}, {_id: '2', name: 'b', posts: 0}]),
+      posts.insert({_id: 'p1', user: '2', text: 'old'}),
+    ]).then(() => users.ensureIndex({fieldName: 'name', unique: true}));
+  });
+
+  describe('#run', function () {
+    it('should apply writes to many collections and return a result', function () {
+      return Collection.transaction((tx) => {
+        return tx.insert(posts, {_id: 'p2', user: '1', text: 'new'}).then(() =>
+          tx.update(users, '1', {$inc: {posts: 1}})
+        ).then(() =>
+          tx.remove(posts, {user: '2'})
+        ).then(() => 'done');
+      }).then((res) => {
+        res.should.be.equal('done');
+        return Promise.all([users.findOne('1'), posts.ids({})]);
+      }).then(([user, postIds]) => {
+        user.posts.should.be.equal(1);
+        postIds.should.be.deep.equal(['p2']);
+      });
+    });
+
+    it('should see own writes only in reads of the transaction', function () {
+      return Collection.transaction((tx) => {
+        return tx.insert(users, {_id: '3', name: 'c'}).then(() =>
+          Promise.all([tx.findOne(users, {name: 'c'}), users.findOne({name: 'c'})])
+        ).then(([txDoc, doc]) => {
+          txDoc.should.be.deep.equal({_id: '3', name: 'c'});
+          expect(doc).to.be.undefined;
+          return tx.update(users, {name: 'c'}, {$set: {posts: 1}});
+        }).then(() =>
+          tx.find(users, {}).sort({_id: 1}).map(d => d.name)
+        ).then((names) => {
+          names.should.be.deep.equal(['a', 'b', 'c']);
+          return tx.insert(users, {_id: '3'}).should.be.rejectedWith(DuplicateKeyError);
+        });
+      }).then(() => users.findOne('3')).then((doc) => {
+        doc.should.be.deep.equal({_id: '3', name: 'c', posts: 1});
+      });
+    });
+
+    it('should revert all writes when the function throws', function () {
+      const err = new Error('fail');
+      return Collection.transaction((tx) => {
+        return tx.insert(users, {_id: '3', name: 'c'}).then(() =>
+          tx.update(users, {}, {$set: {posts: 5}}, {multi: true})
+        ).then(() =>
+          tx.update(users, {name: 'd'}, {$set: {posts: 1}}, {upsert: true})
+        ).then(() =>
+          tx.remove(posts, {})
+        ).then(() =>
+          tx.update(users, '2', {$set: {name: 'e'}})
+        ).then(() => {
+          throw err;
+        });
+      }).should.be.rejectedWith(err).then(() => {
+        return Promise.all([users.find({}).sort({_id: 1}), posts.ids({})]);
+      }).then(([docs, postIds]) => {
+        docs.should.be.deep.equal([
+          {_id: '1', name: 'a', posts: 0}, {_id: '2', name: 'b', posts: 0},
+        ]);
+        postIds.should.be.deep.equal(['p1']);
+        users.indexes.name.getAll().should.have.members(['1', '2']);
+        return Promise.all([
+          users.insert({name: 'c'}),
+          users.insert({name: 'd'}),
+          users.insert({name: 'e'}),
+          users.insert({name: 'b'}).should.be.rejectedWith(DuplicateKeyError),
+        ]);
+      });
+    });
+
+    it('should revert writes when some write failed', function () {
+      return Collection.transaction((tx) => {
+        return tx.insert(users, {_id: '3', name: 'c'}).then(() =>
+          tx.insert(users, {_id: '4', name: 'a'})
+        );
+      }).should.be.rejectedWith(DuplicateKeyError).then(() => {
+        return users.ids({});
+      }).then((ids) => {
+        ids.should.have.members(['1', '2']);
+        users.indexes.name.getAll().should.have.members(['1', '2']);
+      });
+    });
+
+    it('should not change observed cursors when rolled back', function () {
+      const cursor = users.find({}).sort({_id: 1});
+      let observed;
+      return Collection.transaction((tx) => {
+        return tx.insert(users, {_id: '3', name: 'x'}).then(() =>
+          cursor.observe((docs) => {
+            observed = docs;
+          })
+        ).then(() => {
+          throw new Error('fail');
+        });
+      }).should.be.rejectedWith('fail').then(() => {
+        return new Promise(resolve => setTimeout(resolve, 5));
+      }).then(() => {
+        observed.map(d => d.name).should.be.deep.equal(['a', 'b']);
+        return users.ids({});
+      }).then((ids) => {
+        ids.should.have.members(['1', '2']);
+      });
+    });
+
+    it('should not hold outside writes', function () {
+      return Collection.transaction((tx) => {
+        return tx.insert(users, {_id: '3', name: 'c'}).then(() =>
+          users.insert({_id: '4', name: 'd'})
+        ).then(() => users.ids({})).then((ids) => {
+          ids.should.have.members(['1', '2', '4']);
+        });
+      }).then(() => users.ids({})).then((ids) => {
+        ids.should.have.members(['1', '2', '3', '4']);
+      });
+    });
+
+    it('should reject commit when a document changed outside', function () {
+      return users.ensureIndex({fieldName: 'n', unique: true, sparse: true}).then(() => {
+        return Collection.transaction((tx) => {
+          return tx.insert(posts, {_id: 'p2'}).then(() =>
+            tx.update(users, '1', {$set: {n: 1}})
+          ).then(() =>
+            users.update('1', {$set: {n: 2}})
+          );
+        }).should.be.rejectedWith(/changed outside of the transaction/);
+      }).then(() => Promise.all([users.findOne('1'), posts.ids({})])).then(([doc, postIds]) => {
+        doc.should.be.deep.equal({_id: '1', name: 'a', posts: 0, n: 2});
+        postIds.should.be.deep.equal(['p1']);
+        return Promise.all([
+          users.insert({name: 'c', n: 1}),
+          users.insert({name: 'd', n: 2}).should.be.rejectedWith(DuplicateKeyError),
+        ]);
+      });
+    });
+
+    it('should commit transactions one by one', function () {
+      const first = new Transaction();
+      const second = new Transaction();
+      return Promise.all([
+        first.update(users, '1', {$set: {name: 'x'}}),
+        second.update(users, '1', {$set: {name: 'y'}}),
+        second.insert(users, {_id: '3', name: 'c'}),
+      ]).then(() => Promise.all([
+        first.commit(),
+        second.commit().should.be.rejectedWith(/changed outside of the transaction/),
+      ])).then(() => {
+        second.state.should.be.equal('rolled_back');
+        return users.find({}).sort({_id: 1}).map(d => d.name);
+      }).then((names) => {
+        names.should.be.deep.equal(['x', 'b']);
+      });
+    });
+
+    it('should revert applied collections and keep the error if some revert failed', function () {
+      const persist = sinon.stub(users.storageManager, 'persist').returns(
+        Promise.reject(new Error('persist failed'))
+      );
+      return Collection.transaction((tx) => {
+        return tx.insert(posts, {_id: 'p2'}).then(() =>
+          tx.update(users, '1', {$set: {posts: 1}})
+        );
+      }).should.be.rejectedWith('persist failed').then(() => {
+        persist.restore();
+        return Promise.all([posts.ids({}), users.findOne('1')]);
+      }).then(([ids, doc]) => {
+        ids.should.be.deep.equal(['p1']);
+        doc.should.be.deep.equal({_id: '1', name: 'a', posts: 0});
+        sinon.stub(posts.storageManager, 'delete').returns(
+          Promise.reject(new Error('revert failed'))
+        );
+        sinon.stub(users.storageManager, 'persist').returns(
+          Promise.reject(new Error('persist failed'))
+        );
+        return Collection.transaction((tx) => {
+          return tx.insert(posts, {_id: 'p3'}).then(() =>
+            tx.update(users, '1', {$set: {posts: 1}})
+          );
+        });
+      }).then(() => {
+        throw new Error('should be rejected');
+      }, (e) => {
+        users.storageManager.persist.restore();
+        posts.storageManager.delete.restore();
+        e.message.should.be.equal('persist failed');
+        e.revertError.message.should.be.equal('revert failed');
+      });
+    });
+
+    it('should emit events only on commit', function () {
+      const insertCb = sinon.spy();
+      const updateCb = sinon.spy();
+      const removeCb = sinon.spy();
+      const syncCb = sinon.spy();
+      users.on('insert', insertCb);
+      users.on('update', updateCb);
+      posts.on('remove', removeCb);
+      users.on('sync:insert', syncCb);
+      return Collection.transaction((tx) => {
+        return tx.insert(users, {_id: '3', name: 'c'}).then(() =>
+          tx.insert(users, {_id: '4', name: 'd'}, {quiet: true})
+        ).then(() =>
+          tx.update(users, '1', {$set: {posts: 1}})
+        ).then(() =>
+          tx.remove(posts, 'p1')
+        ).then(() => {
+          insertCb.should.have.callCount(0);
+          updateCb.should.have.callCount(0);
+          removeCb.should.have.callCount(0);
+          syncCb.should.have.callCount(0);
+        });
+      }).then(() => {
+        insertCb.should.have.callCount(2);
+        updateCb.should.have.callCount(1);
+        updateCb.getCall(0).args[1].should.be.deep.equal({_id: '1', name: 'a', posts: 0});
+        removeCb.should.have.callCount(1);
+        syncCb.should.have.callCount(1);
+        return Collection.transaction((tx) => {
+          return tx.insert(users, {_id: '5', name: 'f'}).then(() => {
+            throw new Error('fail');
+          });
+        }).should.be.rejectedWith('fail');
+      }).then(() => {
+        insertCb.should.have.callCount(2);
+      });
+    });
+  });
+
+  describe('#commit', function () {
+    it('should wait for started writes', function () {
+      const tx = new Transaction();
+      tx.insert(users, {_id: '3', name: 'c'});
+      return tx.commit().then(() => {
+        tx.state.should.be.equal('committed');
+        return users.findOne('3');
+      }).then((doc) => {
+        expect(doc).to.be.deep.equal({_id: '3', name: 'c'});
+      });
+    });
+
+    it('should throw when the transaction is finished', function () {
+      const tx = new Transaction();
+      return tx.rollback().then(() => {
+        tx.state.should.be.equal('rolled_back');
+        (() => tx.commit()).should.throw(Error);
+        (() => tx.insert(users, {name: 'c'})).should.throw(Error);
+      });
+    });
+  });
+});